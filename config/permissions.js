@@ -0,0 +1,105 @@
+// Roles and Permissions
+// Staff roles map to named permissions; routes check permissions, never roles.
+// Every user is a customer; staff roles are added on top (a cashier can also
+// be a driver). Customers need no permissions for their own orders.
+
+const ROLES = ['owner', 'manager', 'kitchen', 'cashier', 'driver', 'customer'];
+
+const PERMISSIONS = [
+  'orders:read-all', // see every order and follow them live
+  'orders:update-status',
+  'orders:cancel-any', // cancel at any stage, with a reason
+  'orders:refund',
+  'orders:print',
+  'kitchen:use', // kitchen display and ticket bumping
+  'products:write',
+  'offers:write',
+  'delivery-zones:write',
+  'store:pause',
+  'store:settings', // settings and closures
+  'sales:read',
+  'drivers:assign',
+  'payments:settle', // take cash payments
+  'deliveries:handle', // driver app: own deliveries, location, proof of delivery
+  'users:manage-roles',
+  'users:unlock', // lift login lockouts
+  'loyalty:adjust', // view and correct customers' loyalty points
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: PERMISSIONS.filter((permission) => permission !== 'deliveries:handle'),
+  kitchen: ['orders:read-all', 'orders:update-status', 'kitchen:use', 'store:pause'],
+  cashier: [
+    'orders:read-all',
+    'orders:update-status',
+    'orders:cancel-any',
+    'orders:print',
+    'payments:settle',
+  ],
+  driver: ['deliveries:handle'],
+  customer: [],
+};
+
+// Only owners may hand out (or take away) these roles
+const OWNER_ONLY_ROLES = ['owner', 'manager'];
+
+/**
+ * Roles of a user; customer is always included
+ * @param {Object} user - User document
+ * @returns {String[]}
+ */
+const getUserRoles = (user) => {
+  const roles = (user && user.roles) || [];
+  return roles.includes('customer') ? [...roles] : [...roles, 'customer'];
+};
+
+/**
+ * All permissions granted by a user's roles
+ * @param {Object} user - User document
+ * @returns {String[]}
+ */
+const getUserPermissions = (user) => {
+  const permissions = new Set();
+  getUserRoles(user).forEach((role) => {
+    (ROLE_PERMISSIONS[role] || []).forEach((permission) => permissions.add(permission));
+  });
+  return PERMISSIONS.filter((permission) => permissions.has(permission));
+};
+
+/**
+ * Whether a user has a permission
+ * @param {Object} user - User document
+ * @param {String} permission
+ */
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  return getUserRoles(user).some((role) => (ROLE_PERMISSIONS[role] || []).includes(permission));
+};
+
+/**
+ * Roles that grant a permission (e.g. to find who to notify)
+ * @param {String} permission
+ * @returns {String[]}
+ */
+const getRolesWithPermission = (permission) => {
+  return ROLES.filter((role) => ROLE_PERMISSIONS[role].includes(permission));
+};
+
+/**
+ * Whether a user has any role besides customer
+ * @param {Object} user - User document
+ */
+const isStaff = (user) => getUserRoles(user).some((role) => role !== 'customer');
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  OWNER_ONLY_ROLES,
+  getUserRoles,
+  getUserPermissions,
+  hasPermission,
+  getRolesWithPermission,
+  isStaff,
+};
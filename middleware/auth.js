@@ -1,5 +1,9 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/sessionService');
+const { hasPermission } = require('../config/permissions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+
+// All an account with mustChangePassword may do until the password is changed
+const PASSWORD_CHANGE_ROUTES = ['/api/auth/me', '/api/auth/update-profile', '/api/auth/logout'];
 
 const protect = async (req, res, next) => {
   let token;
@@ -7,24 +11,49 @@ const protect = async (req, res, next) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
       token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
-      next();
+      const { user, session } = await verifyAccessToken(token);
+      req.user = user;
+      req.authSession = session;
     } catch (error) {
-      res.status(401).json({ message: 'Not authorized, token failed' });
+      return res.status(401).json({ message: 'Not authorized, token failed' });
+    }
+    if (req.user.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(`${req.baseUrl}${req.path}`)) {
+      return res.status(403).json({ message: 'Please change your password first', code: 'PASSWORD_CHANGE_REQUIRED' });
     }
+    next();
   } else {
     res.status(401).json({ message: 'Not authorized, no token' });
   }
 };
 
-const admin = (req, res, next) => {
-  if (req.user && req.user.isAdmin) {
-    next();
-  } else {
-    res.status(403).json({ message: 'Not authorized as admin' });
+// Like protect, but requests without a token continue as guests (req.user stays unset)
+const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+  return protect(req, res, next);
+};
+
+// Use after protect: requirePermission('products:write') (see config/permissions.js)
+// With requireStaffTwoFactor on, staff without 2FA are sent to the setup first
+const requirePermission = (...permissions) => async (req, res, next) => {
+  const missing = permissions.find((permission) => !hasPermission(req.user, permission));
+  if (missing) {
+    return res.status(403).json({ message: `Not authorized (requires ${missing})`, permission: missing });
+  }
+
+  try {
+    if (!req.user.twoFactor.enabled && await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        message: 'Please set up two-factor authentication first',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+  } catch (error) {
+    return res.status(500).json({ message: error.message });
   }
+  next();
 };
 
-module.exports = { protect, admin };
+module.exports = { protect, optionalAuth, requirePermission };
 
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with sorted object keys, so equal payloads hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => {
+  return crypto.createHash('sha256').update(stableStringify(req.body || {})).digest('hex');
+};
+
+/**
+ * Replay the stored response for retried requests that send the same Idempotency-Key.
+ * Use after protect; responses are kept for IDEMPOTENCY_WINDOW_HOURS (default 24).
+ */
+const idempotent = async (req, res, next) => {
+  const clientKey = req.get('Idempotency-Key');
+  if (!clientKey) {
+    return next();
+  }
+  if (clientKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const userId = req.user ? req.user._id.toString() : 'anonymous';
+  const key = `${userId}:${req.method}:${req.baseUrl}${req.path}:${clientKey}`;
+  const requestHash = hashRequest(req);
+  const windowHours = parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || DEFAULT_WINDOW_HOURS;
+
+  try {
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        requestHash,
+        expiresAt: new Date(Date.now() + windowHours * 60 * 60 * 1000),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      record = null;
+    }
+
+    if (!record) {
+      const existing = await IdempotencyKey.findOne({ key });
+      if (existing && existing.expiresAt < new Date()) {
+        // Expired but not yet purged by MongoDB: start over
+        await existing.deleteOne();
+        return idempotent(req, res, next);
+      }
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          message: 'This Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED',
+        });
+      }
+      if (!existing || existing.status === 'processing') {
+        return res.status(409).json({
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Remember the response once it is sent
+    let settled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const settle = res.statusCode >= 500
+        // Server errors are not final; let the client retry with the same key
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+        );
+      settle.catch((error) => console.error('Error storing idempotent response:', error));
+      return originalJson(body);
+    };
+    // Free the key if the request ends without a JSON response
+    res.on('close', () => {
+      if (!settled) {
+        IdempotencyKey.deleteOne({ _id: record._id }).catch(() => {});
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = { idempotent };
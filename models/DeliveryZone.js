@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const pointSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90,
+  },
+  lng: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180,
+  },
+}, {
+  _id: false,
+});
+
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  // A zone is either drawn on the map or a list of postcodes
+  type: {
+    type: String,
+    enum: ['polygon', 'postcodes'],
+    required: true,
+  },
+  polygon: [pointSchema],
+  postcodes: [{
+    type: String,
+    trim: true,
+  }],
+  fee: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Delivery is free from this order value on, 0 means never
+  freeDeliveryThreshold: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  estimatedMinutes: {
+    type: Number,
+    default: 30,
+    min: 0,
+  },
+  // Lower numbers are checked first when zones overlap
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
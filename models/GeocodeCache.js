@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const geocodeCacheSchema = new mongoose.Schema({
+  // Provider + normalized address, e.g. "nominatim:bahnhofstr 119 47137 duisburg"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  query: {
+    type: String,
+    required: true,
+  },
+  lat: {
+    type: Number,
+    required: true,
+  },
+  lng: {
+    type: Number,
+    required: true,
+  },
+  postcode: {
+    type: String,
+    default: '',
+  },
+  formattedAddress: {
+    type: String,
+    default: '',
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  // MongoDB removes the entry once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // User + method + path + client key, e.g. "<userId>:POST:/api/orders:<Idempotency-Key>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Hash of the request body, to detect a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  // MongoDB removes the entry once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Loyalty points ledger (see utils/loyalty.js). The balance on the user is the
+// sum of all entries of that user.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // earn: order delivered, redeem: checkout discount, restore: redemption of a
+  // cancelled order given back, reverse: earned points taken back after a refund,
+  // expire: unused points past their expiry, adjust: manual correction
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'restore', 'reverse', 'expire', 'adjust'],
+    required: true,
+  },
+  // Positive for credits, negative for debits
+  points: {
+    type: Number,
+    required: true,
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  reason: {
+    type: String,
+    default: '',
+  },
+  // Staff member who made an adjustment
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Credits only: points of this entry not yet spent or expired (spent oldest first)
+  remaining: {
+    type: Number,
+    default: 0,
+  },
+  // Credits only: when the remaining points expire (null = never)
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ expiresAt: 1, remaining: 1 });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -37,6 +37,23 @@ const offerSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // 0 means unlimited
+  maxRedemptions: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // 0 means unlimited
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   image: {
     type: String,
     default: '',
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// How often a customer redeemed an offer (see utils/offerService.js). Counted
+// up with a conditional $inc so parallel checkouts can't pass the per-user limit.
+const offerRedemptionSchema = new mongoose.Schema({
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer',
+    required: true,
+  },
+  // "user:<id>" or "email:<sha256 of the address>"; guests are only known by their email
+  customer: {
+    type: String,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+offerRedemptionSchema.index({ offer: 1, customer: 1 }, { unique: true });
+
+module.exports = mongoose.model('OfferRedemption', offerRedemptionSchema);
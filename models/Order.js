@@ -1,4 +1,16 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { ORDER_STATUSES, PAYMENT_STATUSES } = require('../utils/orderStatus');
+
+const orderItemModifierSchema = new mongoose.Schema({
+  groupId: mongoose.Schema.Types.ObjectId,
+  groupName: String,
+  optionId: mongoose.Schema.Types.ObjectId,
+  name: String,
+  priceDelta: Number,
+}, {
+  _id: false,
+});
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -7,32 +19,187 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
   },
   name: String,
+  category: String,
+  // Unit price including the variant and modifier price deltas
   price: Number,
   quantity: Number,
   image: String,
+  variant: {
+    variantId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    price: Number,
+  },
+  modifiers: [orderItemModifierSchema],
+  lineTotal: Number,
+  // Set when the kitchen bumps the item off the ticket
+  bumpedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  note: {
+    type: String,
+    default: '',
+  },
+}, {
+  _id: false,
+});
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  reason: {
+    type: String,
+    default: '',
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Refund at the payment provider (online payments; cash is paid back by hand)
+  providerRefundId: String,
+  refundedAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
 const orderSchema = new mongoose.Schema({
+  // Empty for guest orders until the guest signs up and claims them
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    default: null,
+  },
+  isGuest: {
+    type: Boolean,
+    default: false,
+  },
+  // Unguessable token for the public tracking page
+  trackingToken: {
+    type: String,
+    unique: true,
+    sparse: true,
   },
   items: [orderItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0,
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+  },
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer',
+  },
+  offerCode: {
+    type: String,
+  },
+  offerDiscount: {
+    type: Number,
+    default: 0,
+  },
+  // Loyalty points redeemed at checkout and earned on delivery (see utils/loyalty.js)
+  loyalty: {
+    pointsRedeemed: {
+      type: Number,
+      default: 0,
+    },
+    redeemedDiscount: {
+      type: Number,
+      default: 0,
+    },
+    pointsEarned: {
+      type: Number,
+      default: 0,
+    },
+    earnedAt: {
+      type: Date,
+      default: null,
+    },
+    // Amount the points were earned on; refunds take back points in proportion to it
+    earnedOn: {
+      type: Number,
+      default: 0,
+    },
+    // Earned points taken back after refunds
+    pointsReversed: {
+      type: Number,
+      default: 0,
+    },
+  },
   totalAmount: {
     type: Number,
     required: true,
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed'],
+    enum: PAYMENT_STATUSES,
     default: 'pending',
   },
+  // Payment intent at the provider (online payments) or cash settlement
+  payment: {
+    provider: String,
+    intentId: {
+      type: String,
+      index: true,
+    },
+    // Intents replaced by payment retries; a late success on one still counts
+    previousIntentIds: {
+      type: [String],
+      index: true,
+    },
+    // Intent that was actually charged (refunds go against it)
+    paidIntentId: String,
+    failureReason: String,
+    paidAt: Date,
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
   orderStatus: {
     type: String,
-    enum: ['Pending', 'Preparing', 'Ready for Pickup', 'Out for Delivery', 'Delivered'],
+    enum: ORDER_STATUSES,
     default: 'Pending',
   },
+  statusHistory: [statusHistorySchema],
+  cancelledAt: {
+    type: Date,
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancellationReason: {
+    type: String,
+    default: '',
+  },
   customerName: {
     type: String,
     required: true,
@@ -40,6 +207,13 @@ const orderSchema = new mongoose.Schema({
   customerEmail: {
     type: String,
     required: true,
+    lowercase: true,
+    trim: true,
+  },
+  // E.164 (see utils/phoneNumber.js); copied from the profile when not given
+  customerPhone: {
+    type: String,
+    default: '',
   },
   paymentMethod: {
     type: String,
@@ -54,6 +228,24 @@ const orderSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Copy of the saved address the order was placed with (see utils/addressBook.js)
+  deliveryAddress: {
+    addressId: mongoose.Schema.Types.ObjectId,
+    label: String,
+    street: String,
+    houseNumber: String,
+    postcode: String,
+    city: String,
+    floor: String,
+    doorbell: String,
+    notes: String,
+    formattedAddress: String,
+  },
+  // Geocoded position of the delivery address
+  addressLocation: {
+    lat: Number,
+    lng: Number,
+  },
   distance: {
     type: Number,
     default: 0,
@@ -62,9 +254,125 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Delivery zone the address matched and why
+  deliveryZone: {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryZone',
+    },
+    name: String,
+    matchedBy: {
+      type: String,
+      enum: ['polygon', 'postcode'],
+    },
+    reason: String,
+  },
+  // Start of the pre-order slot; null means "as soon as possible"
+  scheduledFor: {
+    type: Date,
+    default: null,
+    index: true,
+  },
+  // When the order was pushed to the kitchen display
+  releasedToKitchenAt: {
+    type: Date,
+    default: null,
+  },
+  // Kitchen display state of the ticket
+  kitchenTicket: {
+    bumpedAt: {
+      type: Date,
+      default: null,
+    },
+    bumpedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    recalledAt: Date,
+    rush: {
+      type: Boolean,
+      default: false,
+    },
+    rushedAt: Date,
+    rushedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  // Estimated ready/delivery times, recalculated on every status change
+  eta: {
+    readyAt: Date,
+    deliveryAt: Date,
+    promisedReadyAt: Date,
+    promisedDeliveryAt: Date,
+    prepMinutes: Number,
+    travelMinutes: Number,
+    kitchenLoad: Number,
+    updatedAt: Date,
+  },
+  // Driver delivering the order
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true,
+  },
+  assignedAt: Date,
+  // Last GPS position pushed by the driver while en route
+  driverLocation: {
+    lat: Number,
+    lng: Number,
+    heading: Number,
+    updatedAt: Date,
+  },
+  proofOfDelivery: {
+    photoUrl: String,
+    signatureUrl: String,
+    // Cloudinary public IDs, so anonymization can delete the images
+    photoPublicId: String,
+    signaturePublicId: String,
+    recipientName: String,
+    note: String,
+    deliveredAt: Date,
+  },
+  // Set once the personal fields were blanked (account deletion or guest data retention)
+  anonymizedAt: {
+    type: Date,
+    default: null,
+  },
 }, {
   timestamps: true,
 });
 
+// Every order gets a tracking token
+orderSchema.pre('validate', function (next) {
+  if (!this.trackingToken) {
+    this.trackingToken = crypto.randomBytes(24).toString('base64url');
+  }
+  next();
+});
+
+// Seed the timeline with the initial status of new orders
+orderSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.orderStatus,
+      changedAt: this.createdAt || new Date(),
+      changedBy: this.user,
+    });
+  }
+  next();
+});
+
+orderSchema.methods.setStatus = function (status, changedBy, note) {
+  this.orderStatus = status;
+  this.statusHistory.push({
+    status,
+    changedAt: new Date(),
+    changedBy,
+    note: note || '',
+  });
+};
+
 module.exports = mongoose.model('Order', orderSchema);
 
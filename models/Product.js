@@ -1,5 +1,52 @@
 const mongoose = require('mongoose');
 
+// Size / crust variant with its own price, e.g. "26 cm" or "Family"
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  priceDelta: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Group of choices such as "Extra toppings" or "Sauce" with selection rules
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  minSelect: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxSelect: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  options: [modifierOptionSchema],
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -13,10 +60,13 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Base price; for products with variants this is the cheapest variant
   price: {
     type: Number,
     required: true,
   },
+  variants: [variantSchema],
+  modifierGroups: [modifierGroupSchema],
   image: {
     type: String,
     required: true,
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const rateLimitSchema = new mongoose.Schema({
+  // Limit name + subject + window, e.g. "forgot-password:ip:1.2.3.4:482311"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // MongoDB removes the counter once its window has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -1,10 +1,10 @@
 const mongoose = require('mongoose');
 
 const reviewSchema = new mongoose.Schema({
+  // Removed when the author deletes their account
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
   },
   userName: {
     type: String,
@@ -20,6 +20,10 @@ const reviewSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  anonymizedAt: {
+    type: Date,
+    default: null,
+  },
 }, {
   timestamps: true,
 });
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Hash of the current refresh token; every refresh replaces it
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  device: {
+    type: String,
+    default: 'Unknown device',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  // logout, logout_all, password_change, password_reset, token_reuse
+  revokedReason: {
+    type: String,
+  },
+  // MongoDB removes the session once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
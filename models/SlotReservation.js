@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Capacity booked in a pre-order slot (see utils/slotService.js). Orders take
+// their share with a conditional $inc, so concurrent checkouts can't overbook.
+const slotReservationSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true,
+    unique: true,
+  },
+  orders: {
+    type: Number,
+    default: 0,
+  },
+  pizzas: {
+    type: Number,
+    default: 0,
+  },
+  // MongoDB removes the counter once the slot is long over
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
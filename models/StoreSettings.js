@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+const openingHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6,
+  },
+  open: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  close: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+}, {
+  _id: false,
+});
+
+const closureSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+  reason: {
+    type: String,
+    default: '',
+  },
+});
+
+const storeSettingsSchema = new mongoose.Schema({
+  // Singleton key - there is only ever one settings document
+  key: {
+    type: String,
+    default: 'store',
+    unique: true,
+  },
+  timezone: {
+    type: String,
+    default: 'Europe/Berlin',
+  },
+  // Opening hours per weekday (0 = Sunday). Several entries per day = split shifts.
+  // A close time earlier than the open time means the shift ends after midnight.
+  openingHours: {
+    type: [openingHoursSchema],
+    default: () => [0, 1, 2, 3, 4, 5, 6].map((day) => ({ day, open: '11:00', close: '22:00' })),
+  },
+  // Holidays and one-off closures
+  closures: [closureSchema],
+  // "Pause ordering" switch for when the kitchen is overloaded
+  pausedUntil: {
+    type: Date,
+    default: null,
+  },
+  pauseReason: {
+    type: String,
+    default: '',
+  },
+  // Wait time estimate shown on the store status and used for order ETAs
+  basePrepMinutes: {
+    type: Number,
+    default: 15,
+    min: 0,
+  },
+  minutesPerActiveOrder: {
+    type: Number,
+    default: 3,
+    min: 0,
+  },
+  baseDeliveryMinutes: {
+    type: Number,
+    default: 20,
+    min: 0,
+  },
+  // Kitchen time per item in an order (pizzas take longer than sides and drinks)
+  minutesPerPizza: {
+    type: Number,
+    default: 2,
+    min: 0,
+  },
+  minutesPerItem: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  deliveryMinutesPerKm: {
+    type: Number,
+    default: 2,
+    min: 0,
+  },
+  slotIntervalMinutes: {
+    type: Number,
+    default: 15,
+    min: 5,
+  },
+  // Capacity per slot, 0 means unlimited
+  slotMaxOrders: {
+    type: Number,
+    default: 10,
+    min: 0,
+  },
+  slotMaxPizzas: {
+    type: Number,
+    default: 20,
+    min: 0,
+  },
+  preorderMinLeadMinutes: {
+    type: Number,
+    default: 30,
+    min: 0,
+  },
+  preorderMaxDaysAhead: {
+    type: Number,
+    default: 7,
+    min: 0,
+  },
+  // How long before the scheduled time a pre-order is sent to the kitchen
+  kitchenReleaseLeadMinutes: {
+    type: Number,
+    default: 30,
+    min: 0,
+  },
+  // Whether users may order before verifying their email (logged in, or as a guest with the account's email)
+  allowUnverifiedOrders: {
+    type: Boolean,
+    default: true,
+  },
+  // Loyalty program: points earned per euro of food on delivered orders, what a
+  // point is worth at checkout, and how long unused points last (0 = forever)
+  loyaltyEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  loyaltyPointsPerEuro: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  loyaltyPointValueCents: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  loyaltyPointsExpiryDays: {
+    type: Number,
+    default: 365,
+    min: 0,
+  },
+  // Completed guest orders are anonymized after this many days, 0 keeps them
+  guestDataRetentionDays: {
+    type: Number,
+    default: 90,
+    min: 0,
+  },
+  // Staff must set up two-factor authentication before using staff routes
+  requireStaffTwoFactor: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+storeSettingsSchema.statics.getSettings = async function () {
+  const settings = await this.findOne({ key: 'store' });
+  if (settings) {
+    return settings;
+  }
+  return this.create({ key: 'store' });
+};
+
+module.exports = mongoose.model('StoreSettings', storeSettingsSchema);
@@ -1,5 +1,67 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+
+// Saved delivery address (see utils/addressBook.js)
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 40,
+  },
+  street: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  houseNumber: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  postcode: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  city: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  // Geocoded when the address is saved
+  location: {
+    lat: Number,
+    lng: Number,
+  },
+  formattedAddress: String,
+  // Notes for the driver
+  floor: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 40,
+  },
+  doorbell: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 60,
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 200,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -12,14 +74,110 @@ const userSchema = new mongoose.Schema({
     unique: true,
     lowercase: true,
   },
+  // Set once the user opened the verification link for `email`
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // New address waiting for verification; `email` stays active until then
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  // Resend throttling for verification links
+  emailVerification: {
+    lastSentAt: Date,
+    windowStartedAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+  },
   password: {
     type: String,
     required: true,
   },
-  isAdmin: {
+  // E.164, e.g. +49203123456 (see utils/phoneNumber.js)
+  phone: {
+    type: String,
+    match: /^\+[1-9]\d{6,14}$/,
+  },
+  addresses: [addressSchema],
+  // Running total of the loyalty ledger (see utils/loyalty.js)
+  loyaltyPoints: {
+    type: Number,
+    default: 0,
+  },
+  // Staff roles (see config/permissions.js); every user is also a customer
+  roles: {
+    type: [{ type: String, enum: ROLES }],
+    default: [],
+    index: true,
+  },
+  // Set for accounts created with a generated password (scripts/createAdmin.js)
+  mustChangePassword: {
     type: Boolean,
     default: false,
   },
+  // Failed logins since the last success (see utils/loginProtection.js)
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // TOTP second factor (see utils/twoFactor.js); secrets stay out of normal queries
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Encrypted base32 secrets; pendingSecret waits for the first code
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: Date,
+  },
+  // Consent history, newest last (see utils/personalData.js)
+  consents: [{
+    _id: false,
+    purpose: {
+      type: String,
+      enum: ['privacy-policy', 'marketing-emails'],
+      required: true,
+    },
+    granted: {
+      type: Boolean,
+      required: true,
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    ip: String,
+  }],
   resetPasswordToken: {
     type: String,
   },
@@ -39,6 +197,34 @@ userSchema.pre('save', async function (next) {
   next();
 });
 
+// Kept for clients that still read the old flags
+userSchema.virtual('isAdmin').get(function () {
+  return this.roles.includes('owner') || this.roles.includes('manager');
+});
+
+userSchema.virtual('isDriver').get(function () {
+  return this.roles.includes('driver');
+});
+
+/**
+ * Turn the old isAdmin / isDriver flags into roles (runs once at startup)
+ */
+userSchema.statics.migrateLegacyRoles = async function () {
+  const admins = await this.collection.updateMany(
+    { isAdmin: true },
+    { $addToSet: { roles: 'owner' }, $unset: { isAdmin: '' } }
+  );
+  const drivers = await this.collection.updateMany(
+    { isDriver: true },
+    { $addToSet: { roles: 'driver' }, $unset: { isDriver: '' } }
+  );
+  await this.collection.updateMany(
+    { $or: [{ isAdmin: { $exists: true } }, { isDriver: { $exists: true } }] },
+    { $unset: { isAdmin: '', isDriver: '' } }
+  );
+  return { owners: admins.modifiedCount, drivers: drivers.modifiedCount };
+};
+
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
@@ -0,0 +1,81 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const {
+  addAddress,
+  updateAddress,
+  removeAddress,
+  findAddress,
+  setDefaultAddress,
+} = require('../utils/addressBook');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// Default address first, then in the order they were added
+const sortAddresses = (addresses) => [...addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+
+// @route   GET /api/addresses
+// @desc    List the current user's saved addresses
+// @access  Private
+router.get('/', protect, (req, res) => {
+  res.json(sortAddresses(req.user.addresses));
+});
+
+// @route   POST /api/addresses
+// @desc    Save an address ({ label, street, houseNumber, postcode, city, floor, doorbell, notes, isDefault });
+//          it is geocoded and rejected when unknown or ambiguous
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const { label, street } = req.body;
+
+    if (!label || !street) {
+      return res.status(400).json({ message: 'Please provide label and street' });
+    }
+
+    const address = await addAddress(req.user, req.body);
+    res.status(201).json(address);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/addresses/:id
+// @desc    Change a saved address (geocoded again when the location changed)
+// @access  Private
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const address = await updateAddress(req.user, req.params.id, req.body);
+    res.json(address);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/addresses/:id/default
+// @desc    Make a saved address the default
+// @access  Private
+router.put('/:id/default', protect, async (req, res) => {
+  try {
+    const address = findAddress(req.user, req.params.id);
+    setDefaultAddress(req.user, address._id);
+    await req.user.save();
+    res.json(sortAddresses(req.user.addresses));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE /api/addresses/:id
+// @desc    Delete a saved address (past orders keep their copy)
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    await removeAddress(req.user, req.params.id);
+    res.json({ message: 'Address deleted' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,46 +1,127 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Order = require('../models/Order');
 const { protect } = require('../middleware/auth');
+const { getUserRoles, getUserPermissions, isStaff } = require('../config/permissions');
+const {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+} = require('../utils/sessionService');
+const { disconnectSessions } = require('../utils/socketAuth');
+const { getClaimableFilter } = require('../utils/orderClaim');
+const { sendVerificationEmail, verifyEmailToken } = require('../utils/emailVerification');
+const { getFrontendUrl, sendTemplate } = require('../utils/mailer');
+const { consumeRateLimit } = require('../utils/rateLimiter');
+const { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginProtection');
+const { checkPasswordStrength } = require('../utils/passwordPolicy');
+const {
+  isTwoFactorRequired,
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+} = require('../utils/twoFactor');
+const { getConsents, recordConsent, buildUserExport, deleteAccount } = require('../utils/personalData');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { sendError } = require('../utils/httpError');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
-  });
-};
+// Reset links are valid this long
+const RESET_TOKEN_MINUTES = 10;
+
+// Password reset requests per hour
+const RESET_LIMIT_PER_IP = { limit: 10, windowSeconds: 60 * 60 };
+const RESET_LIMIT_PER_EMAIL = { limit: 3, windowSeconds: 60 * 60 };
+
+// Password and code checks per user for 2FA changes and account deletion
+const TWO_FACTOR_LIMIT_PER_USER = { limit: 5, windowSeconds: 15 * 60 };
+
+// Data exports per user per hour
+const EXPORT_LIMIT_PER_USER = { limit: 5, windowSeconds: 60 * 60 };
+
+/**
+ * User and tokens returned once a login is complete
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for the session's device)
+ */
+const buildLoginResponse = async (user, req) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  phone: user.phone || null,
+  roles: getUserRoles(user),
+  permissions: getUserPermissions(user),
+  isAdmin: user.isAdmin,
+  isDriver: user.isDriver,
+  // Until the password is changed, only update-profile, me and logout work
+  mustChangePassword: user.mustChangePassword,
+  twoFactorEnabled: user.twoFactor.enabled,
+  // Staff routes answer TWO_FACTOR_SETUP_REQUIRED until 2FA is set up
+  twoFactorSetupRequired: !user.twoFactor.enabled && await isTwoFactorRequired(user),
+  ...(await startSession(user, req)),
+});
 
 // @route   POST /api/auth/signup
 // @desc    Register a new user
 // @access  Public
 router.post('/signup', async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, marketingEmails } = req.body;
 
     if (!name || !email || !password) {
       return res.status(400).json({ message: 'Please provide all fields' });
     }
+    if (marketingEmails !== undefined && typeof marketingEmails !== 'boolean') {
+      return res.status(400).json({ message: 'marketingEmails must be true or false' });
+    }
 
     const userExists = await User.findOne({ email });
     if (userExists) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    const user = await User.create({
+    const user = new User({
       name,
       email,
       password,
     });
+    // Signing up accepts the privacy policy; marketing emails are opt-in
+    recordConsent(user, 'privacy-policy', true, req.ip);
+    if (marketingEmails !== undefined) {
+      recordConsent(user, 'marketing-emails', marketingEmails, req.ip);
+    }
+    await user.save();
+
+    // The account works right away; the link only confirms the address
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+
+    // Guest orders with this email can be claimed via POST /api/orders/claim
+    const claimableOrders = await Order.countDocuments(getClaimableFilter(user.email));
 
     res.status(201).json({
       _id: user._id,
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified,
+      roles: getUserRoles(user),
+      permissions: getUserPermissions(user),
       isAdmin: user.isAdmin,
-      token: generateToken(user._id),
+      isDriver: user.isDriver,
+      ...(await startSession(user, req)),
+      claimableOrders,
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -58,25 +139,58 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Please provide email and password' });
     }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    await assertLoginAllowed(user, req.ip);
 
-    const isMatch = await user.matchPassword(password);
+    const isMatch = user ? await user.matchPassword(password) : false;
     if (!isMatch) {
+      await recordLoginFailure(req.app.get('io'), user, req.ip);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Second step: failed attempts are only cleared once the code is right too
+    if (user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user),
+      });
+    }
+    await recordLoginSuccess(user);
+
+    res.json(await buildLoginResponse(user, req));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a login with the challenge token and a code from the app (or a recovery code)
+// @access  Public
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Please provide challenge token and code' });
+    }
+
+    const user = await verifyLoginChallenge(challengeToken);
+    await assertLoginAllowed(user, req.ip);
+
+    // Wrong codes count like wrong passwords (delays and lockout)
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+    if (!result) {
+      await recordLoginFailure(req.app.get('io'), user, req.ip);
+      return res.status(401).json({ message: 'Invalid code' });
+    }
+    await recordLoginSuccess(user);
+
     res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      isAdmin: user.isAdmin,
-      token: generateToken(user._id),
+      ...(await buildLoginResponse(user, req)),
+      ...(result.method === 'recovery-code' ? { recoveryCodesLeft: result.recoveryCodesLeft } : {}),
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
@@ -88,12 +202,314 @@ router.get('/me', protect, async (req, res) => {
     _id: req.user._id,
     name: req.user.name,
     email: req.user.email,
+    emailVerified: req.user.emailVerified,
+    pendingEmail: req.user.pendingEmail || null,
+    phone: req.user.phone || null,
+    roles: getUserRoles(req.user),
+    permissions: getUserPermissions(req.user),
     isAdmin: req.user.isAdmin,
+    isDriver: req.user.isDriver,
+    mustChangePassword: req.user.mustChangePassword,
+    twoFactorEnabled: req.user.twoFactor.enabled,
+    consents: getConsents(req.user),
   });
 });
 
+// @route   GET /api/auth/me/export
+// @desc    Download everything stored about the current user (profile, orders, reviews, consents) as JSON
+// @access  Private
+router.get('/me/export', protect, async (req, res) => {
+  try {
+    const attempts = await consumeRateLimit('export:user', req.user._id, EXPORT_LIMIT_PER_USER);
+    if (!attempts.allowed) {
+      return res.status(429).json({ message: 'Too many exports, please try again later', retryAfter: attempts.retryAfter });
+    }
+
+    const data = await buildUserExport(req.user);
+    const date = data.exportedAt.toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="american-pizza-data-${date}.json"`);
+    res.json(data);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/auth/me/consents
+// @desc    Give or withdraw consent to marketing emails
+// @access  Private
+router.put('/me/consents', protect, async (req, res) => {
+  try {
+    const { marketingEmails } = req.body;
+
+    if (typeof marketingEmails !== 'boolean') {
+      return res.status(400).json({ message: 'marketingEmails must be true or false' });
+    }
+
+    const user = await User.findById(req.user._id);
+    recordConsent(user, 'marketing-emails', marketingEmails, req.ip);
+    await user.save();
+
+    res.json({ consents: getConsents(user) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/me
+// @desc    Delete the current account; past orders and reviews are kept anonymized
+// @access  Private
+router.delete('/me', protect, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: 'Please provide password' });
+    }
+    if (req.user.twoFactor.enabled && !code && !recoveryCode) {
+      return res.status(400).json({ message: 'Please provide code' });
+    }
+
+    const attempts = await consumeRateLimit('delete-account:user', req.user._id, TWO_FACTOR_LIMIT_PER_USER);
+    if (!attempts.allowed) {
+      return res.status(429).json({ message: 'Too many attempts, please try again later', retryAfter: attempts.retryAfter });
+    }
+
+    // protect leaves out the password hash, which matchPassword needs
+    const user = await User.findById(req.user._id);
+    if (!await user.matchPassword(password)) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+    if (user.twoFactor.enabled && !await verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ message: 'Invalid code' });
+    }
+
+    const anonymized = await deleteAccount(user);
+    res.json({ message: 'Your account has been deleted', anonymized });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Please provide refresh token' });
+    }
+
+    res.json(await refreshSession(refreshToken, req));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    const sessionId = req.authSession._id.toString();
+    await revokeSession(req.user._id, sessionId, 'logout');
+    disconnectSessions([sessionId]);
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user (all devices)
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const sessionIds = await revokeUserSessions(req.user._id, 'logout_all');
+    disconnectSessions(sessionIds);
+
+    res.json({ message: 'Logged out on all devices', sessions: sessionIds.length });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions with device and last-seen time
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.authSession._id);
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    End one session (e.g. a lost phone)
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id, 'logout');
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    disconnectSessions([req.params.id]);
+
+    res.json({ message: 'Session ended' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status of the current user
+// @access  Private
+router.get('/2fa', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt || null,
+      recoveryCodesLeft: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+      required: await isTwoFactorRequired(user),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolment: new secret and otpauth:// URI (render it as a QR code)
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    res.json(await beginEnrolment(req.user));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code from the app; returns the recovery codes once
+// @access  Private
+router.post('/2fa/enable', protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Please provide code' });
+    }
+
+    const recoveryCodes = await confirmEnrolment(req.user, code);
+    res.json({
+      message: 'Two-factor authentication enabled. Keep the recovery codes somewhere safe',
+      recoveryCodes,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (the old ones stop working)
+// @access  Private
+router.post('/2fa/recovery-codes', protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!code) {
+      return res.status(400).json({ message: 'Please provide code' });
+    }
+
+    const attempts = await consumeRateLimit('2fa:user', req.user._id, TWO_FACTOR_LIMIT_PER_USER);
+    if (!attempts.allowed) {
+      return res.status(429).json({ message: 'Too many attempts, please try again later', retryAfter: attempts.retryAfter });
+    }
+    if (!await verifySecondFactor(req.user, { code })) {
+      return res.status(401).json({ message: 'Invalid code' });
+    }
+
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(req.user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off (password and code or recovery code)
+// @access  Private
+router.post('/2fa/disable', protect, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Please provide password and code' });
+    }
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for staff accounts' });
+    }
+
+    const attempts = await consumeRateLimit('2fa:user', req.user._id, TWO_FACTOR_LIMIT_PER_USER);
+    if (!attempts.allowed) {
+      return res.status(429).json({ message: 'Too many attempts, please try again later', retryAfter: attempts.retryAfter });
+    }
+
+    // protect leaves out the password hash, which matchPassword needs
+    const user = await User.findById(req.user._id);
+    if (!await user.matchPassword(password)) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ message: 'Invalid code' });
+    }
+
+    await disableTwoFactor(user);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/auth/verify-email/:token
+// @desc    Confirm an email address with the link from the verification email
+// @access  Public
+router.post('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.params.token);
+    res.json({
+      message: 'Email verified',
+      email: user.email,
+      emailVerified: user.emailVerified,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send the verification link again (throttled)
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const { sentTo } = await sendVerificationEmail(req.user);
+    res.json({ message: `Verification email sent to ${sentTo}` });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // @route   POST /api/auth/forgot-password
-// @desc    Forgot password - send reset token
+// @desc    Forgot password - email a reset link (same answer whether or not the email exists)
 // @access  Public
 router.post('/forgot-password', async (req, res) => {
   try {
@@ -102,24 +518,40 @@ router.post('/forgot-password', async (req, res) => {
     if (!email) {
       return res.status(400).json({ message: 'Please provide email' });
     }
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    const byIp = await consumeRateLimit('forgot-password:ip', req.ip, RESET_LIMIT_PER_IP);
+    if (!byIp.allowed) {
+      return res.status(429).json({
+        message: 'Too many password reset requests, please try again later',
+        retryAfter: byIp.retryAfter,
+      });
+    }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found with this email' });
+    // Over the per-address limit nothing is sent, but the answer stays the same
+    const byEmail = await consumeRateLimit('forgot-password:email', normalizedEmail, RESET_LIMIT_PER_EMAIL);
+    const user = byEmail.allowed ? await User.findOne({ email: normalizedEmail }) : null;
+    if (!byEmail.allowed) {
+      console.warn(`Password reset limit reached for ${normalizedEmail}`);
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(20).toString('hex');
-    user.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-    user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
-    await user.save({ validateBeforeSave: false });
+    if (user) {
+      // Generate reset token
+      const resetToken = crypto.randomBytes(20).toString('hex');
+      user.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+      user.resetPasswordExpire = Date.now() + RESET_TOKEN_MINUTES * 60 * 1000;
+      await user.save({ validateBeforeSave: false });
+
+      // Not awaited, so the response time does not reveal whether the account exists
+      sendTemplate('passwordReset', user.email, {
+        name: user.name,
+        url: `${getFrontendUrl()}/reset-password/${resetToken}`,
+        validFor: `${RESET_TOKEN_MINUTES} minutes`,
+      }).catch((error) => console.error('Error sending password reset email:', error));
+    }
 
-    // In production, send email with reset token
-    // For now, return the token (remove this in production!)
     res.json({
-      message: 'Password reset token generated',
-      resetToken: resetToken, // Remove this in production - send via email instead
-      expiresIn: '10 minutes',
+      message: 'If an account exists for this email, we have sent a link to reset the password',
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -150,12 +582,23 @@ router.post('/reset-password/:token', async (req, res) => {
       return res.status(400).json({ message: 'Invalid or expired token' });
     }
 
+    const weakness = isStaff(user) ? checkPasswordStrength(password, user) : null;
+    if (weakness) {
+      return res.status(400).json({ message: weakness });
+    }
+
     // Set new password
     user.password = password;
+    user.mustChangePassword = false;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    // The link arrived by email, which proves the address
+    user.emailVerified = true;
     await user.save();
 
+    // Whoever knew the old password is logged out everywhere
+    disconnectSessions(await revokeUserSessions(user._id, 'password_reset'));
+
     res.json({ message: 'Password reset successful' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -163,11 +606,14 @@ router.post('/reset-password/:token', async (req, res) => {
 });
 
 // @route   PUT /api/auth/update-profile
-// @desc    Update user profile (name, email, password)
+// @desc    Update user profile (name, email, phone, password)
 // @access  Private
 router.put('/update-profile', protect, async (req, res) => {
   try {
-    const { oldEmail, oldPassword, name, email, password } = req.body;
+    const { oldEmail, oldPassword, name, email, phone, password } = req.body;
+
+    // protect leaves out the password hash, which matchPassword needs
+    req.user = await User.findById(req.user._id);
 
     // Verify old email and password
     if (oldEmail !== req.user.email) {
@@ -181,27 +627,73 @@ router.put('/update-profile', protect, async (req, res) => {
 
     // Update fields
     if (name) req.user.name = name;
-    if (email) {
+    if (phone !== undefined) {
+      // An empty value removes the number
+      req.user.phone = phone ? normalizePhoneNumber(phone) : undefined;
+    }
+    const newEmail = email ? String(email).toLowerCase().trim() : null;
+    if (newEmail === req.user.email) {
+      // Back to the current address: drop a pending change
+      req.user.pendingEmail = undefined;
+    } else if (newEmail) {
       // Check if new email is already taken
-      const emailExists = await User.findOne({ email, _id: { $ne: req.user._id } });
+      const emailExists = await User.findOne({ email: newEmail, _id: { $ne: req.user._id } });
       if (emailExists) {
         return res.status(400).json({ message: 'Email already in use' });
       }
-      req.user.email = email;
+      // The current email stays active until the new one is verified
+      req.user.pendingEmail = newEmail;
+    }
+    if (password) {
+      const weakness = isStaff(req.user) || req.user.mustChangePassword
+        ? checkPasswordStrength(password, req.user)
+        : null;
+      if (weakness) {
+        return res.status(400).json({ message: weakness });
+      }
+      if (req.user.mustChangePassword && await req.user.matchPassword(password)) {
+        return res.status(400).json({ message: 'New password must differ from the old one' });
+      }
+      req.user.password = password;
+      req.user.mustChangePassword = false;
     }
-    if (password) req.user.password = password;
 
     await req.user.save();
 
+    let message = 'Profile updated successfully';
+    if (newEmail && newEmail !== req.user.email) {
+      try {
+        await sendVerificationEmail(req.user);
+        message = `Profile updated. Please confirm ${newEmail} with the link we sent there`;
+      } catch (error) {
+        if (!error.status) throw error;
+        message = `Profile updated. ${error.message}`;
+      }
+    }
+
+    // A new password ends every session; this device gets a fresh one
+    let tokens = {};
+    if (password) {
+      disconnectSessions(await revokeUserSessions(req.user._id, 'password_change'));
+      tokens = await startSession(req.user, req);
+    }
+
     res.json({
       _id: req.user._id,
       name: req.user.name,
       email: req.user.email,
+      emailVerified: req.user.emailVerified,
+      pendingEmail: req.user.pendingEmail || null,
+      phone: req.user.phone || null,
+      roles: getUserRoles(req.user),
+      permissions: getUserPermissions(req.user),
       isAdmin: req.user.isAdmin,
-      message: 'Profile updated successfully',
+      isDriver: req.user.isDriver,
+      ...tokens,
+      message,
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
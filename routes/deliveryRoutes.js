@@ -1,5 +1,12 @@
 const express = require('express');
-const { calculateDistance, calculateDeliveryCharge, geocodeAddress } = require('../utils/distanceCalculator');
+const StoreSettings = require('../models/StoreSettings');
+const DeliveryZone = require('../models/DeliveryZone');
+const { protect, requirePermission } = require('../middleware/auth');
+const { calculateDistance } = require('../utils/distanceCalculator');
+const { geocodeAddress } = require('../utils/geocoder');
+const { getStoreStatus } = require('../utils/storeSchedule');
+const { quoteDelivery, parseZoneInput } = require('../utils/deliveryZones');
+const { sendError } = require('../utils/httpError');
 
 const router = express.Router();
 
@@ -10,42 +17,138 @@ const RESTAURANT_LOCATION = {
 };
 
 // @route   POST /api/delivery/calculate
-// @desc    Calculate delivery distance and charge
+// @desc    Find the delivery zone for an address (text or { street, houseNumber, postcode, city }) and calculate the charge
 // @access  Public
 router.post('/calculate', async (req, res) => {
   try {
-    const { address } = req.body;
+    const { address, subtotal } = req.body;
 
     if (!address) {
       return res.status(400).json({ message: 'Address is required' });
     }
 
-    try {
-      const customerLocation = await geocodeAddress(address);
-      const distance = calculateDistance(
-        RESTAURANT_LOCATION.lat,
-        RESTAURANT_LOCATION.lng,
-        customerLocation.lat,
-        customerLocation.lng
-      );
-      const deliveryCharge = calculateDeliveryCharge(distance);
-
-      res.json({
-        distance: parseFloat(distance.toFixed(2)),
-        deliveryCharge: parseFloat(deliveryCharge.toFixed(2)),
-      });
-    } catch (error) {
-      console.error('Error calculating distance:', error);
-      // Return default values for demo (8km = €2 charge)
-      res.json({
-        distance: 8.0,
-        deliveryCharge: 2.00,
-      });
+    // Quotes are still given while closed, but with a warning for the checkout
+    const settings = await StoreSettings.getSettings();
+    const status = getStoreStatus(settings);
+    const store = {
+      acceptingOrders: status.acceptingOrders,
+      nextOpeningAt: status.nextOpeningAt,
+      ...(!status.acceptingOrders && { warning: status.message }),
+    };
+
+    const location = await geocodeAddress(address);
+    const distance = calculateDistance(
+      RESTAURANT_LOCATION.lat,
+      RESTAURANT_LOCATION.lng,
+      location.lat,
+      location.lng
+    );
+
+    const orderValue = subtotal !== undefined && subtotal !== '' ? parseFloat(subtotal) : undefined;
+    const quote = await quoteDelivery({
+      location,
+      postcode: location.postcode,
+      orderValue,
+    });
+
+    res.json({
+      address: location.text,
+      formattedAddress: location.formattedAddress,
+      location: { lat: location.lat, lng: location.lng },
+      distance: parseFloat(distance.toFixed(2)),
+      deliveryCharge: quote.deliveryCharge,
+      zone: quote.zone,
+      matchedBy: quote.matchedBy,
+      reason: quote.reason,
+      minOrderAmount: quote.minOrderAmount,
+      freeDeliveryThreshold: quote.freeDeliveryThreshold,
+      meetsMinimumOrder: quote.meetsMinimumOrder,
+      store,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET /api/delivery/zones
+// @desc    Get active delivery zones
+// @access  Public
+router.get('/zones', async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find({ isActive: true })
+      .select('name type polygon postcodes fee minOrderAmount freeDeliveryThreshold estimatedMinutes')
+      .sort({ priority: 1, createdAt: 1 });
+    res.json(zones);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/delivery/zones/all
+// @desc    Get all delivery zones (admin)
+// @access  Private (delivery-zones:write)
+router.get('/zones/all', protect, requirePermission('delivery-zones:write'), async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find().sort({ priority: 1, createdAt: 1 });
+    res.json(zones);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/delivery/zones
+// @desc    Create a delivery zone
+// @access  Private (delivery-zones:write)
+router.post('/zones', protect, requirePermission('delivery-zones:write'), async (req, res) => {
+  try {
+    const zone = await DeliveryZone.create(parseZoneInput(req.body));
+    res.status(201).json(zone);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message).join(', ');
+      return res.status(400).json({ message: messages || 'Validation error' });
+    }
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/delivery/zones/:id
+// @desc    Update a delivery zone
+// @access  Private (delivery-zones:write)
+router.put('/zones/:id', protect, requirePermission('delivery-zones:write'), async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Delivery zone not found' });
+    }
+
+    zone.set(parseZoneInput({ ...zone.toObject(), ...req.body }));
+    await zone.save();
+    res.json(zone);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message).join(', ');
+      return res.status(400).json({ message: messages || 'Validation error' });
     }
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE /api/delivery/zones/:id
+// @desc    Delete a delivery zone
+// @access  Private (delivery-zones:write)
+router.delete('/zones/:id', protect, requirePermission('delivery-zones:write'), async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Delivery zone not found' });
+    }
+
+    await zone.deleteOne();
+    res.json({ message: 'Delivery zone deleted' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 module.exports = router;
-
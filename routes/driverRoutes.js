@@ -0,0 +1,258 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { canTransition, getAllowedTransitions } = require('../utils/orderStatus');
+const { emitOrderStatusUpdate } = require('../utils/orderEvents');
+const { refreshOrderEta } = require('../utils/orderEta');
+const { awardOrderPoints } = require('../utils/loyalty');
+const { fileToDataUri, uploadImage } = require('../utils/imageUpload');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const PROOF_FOLDER = 'american_pizza/deliveries';
+
+// Signatures arrive as a data URI from the signature pad
+const SIGNATURE_PATTERN = /^data:image\/(png|jpeg|jpg|webp);base64,[A-Za-z0-9+/=]+$/;
+const MAX_SIGNATURE_LENGTH = 1024 * 1024;
+
+const CLOSED_STATUSES = ['Delivered', 'Cancelled'];
+
+/**
+ * Find an order assigned to the requesting driver
+ * @param {Object} req - Express request
+ */
+const findAssignedOrder = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Order.findOne({ _id: req.params.id, driver: req.user._id });
+};
+
+// @route   GET /api/drivers
+// @desc    List drivers with their number of open deliveries
+// @access  Private (drivers:assign)
+router.get('/', protect, requirePermission('drivers:assign'), async (req, res) => {
+  try {
+    const drivers = await User.find({ roles: 'driver' }).select('name email createdAt').sort({ name: 1 });
+    const openCounts = await Order.aggregate([
+      { $match: { driver: { $in: drivers.map((d) => d._id) }, orderStatus: { $nin: CLOSED_STATUSES } } },
+      { $group: { _id: '$driver', count: { $sum: 1 } } },
+    ]);
+    const countByDriver = new Map(openCounts.map((entry) => [entry._id.toString(), entry.count]));
+
+    res.json(drivers.map((d) => ({
+      ...d.toObject(),
+      openDeliveries: countByDriver.get(d._id.toString()) || 0,
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/drivers/:id
+// @desc    Make a user a driver or remove the driver role
+// @access  Private (users:manage-roles)
+router.put('/:id', protect, requirePermission('users:manage-roles'), async (req, res) => {
+  try {
+    if (typeof req.body.isDriver !== 'boolean') {
+      return res.status(400).json({ message: 'isDriver must be true or false' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const roles = new Set(user.roles);
+    if (req.body.isDriver) {
+      roles.add('driver');
+    } else {
+      roles.delete('driver');
+    }
+    user.roles = [...roles];
+    await user.save();
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      roles: user.roles,
+      isAdmin: user.isAdmin,
+      isDriver: user.isDriver,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/drivers/assign
+// @desc    Assign one or more delivery orders to a driver
+// @access  Private (drivers:assign)
+router.post('/assign', protect, requirePermission('drivers:assign'), async (req, res) => {
+  try {
+    const { driverId, orderIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({ message: 'Please provide a valid driver' });
+    }
+    if (!Array.isArray(orderIds) || orderIds.length === 0 || !orderIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Please provide the orders to assign' });
+    }
+
+    const assignee = await User.findOne({ _id: driverId, roles: 'driver' }).select('name email');
+    if (!assignee) {
+      return res.status(404).json({ message: 'Driver not found' });
+    }
+
+    const uniqueIds = [...new Set(orderIds.map(String))];
+    const orders = await Order.find({ _id: { $in: uniqueIds } });
+    if (orders.length !== uniqueIds.length) {
+      return res.status(404).json({ message: 'One or more orders were not found' });
+    }
+
+    const unassignable = orders.find((order) => order.deliveryType !== 'delivery' || CLOSED_STATUSES.includes(order.orderStatus));
+    if (unassignable) {
+      return res.status(400).json({
+        message: `Order ${unassignable._id} cannot be assigned (${unassignable.deliveryType}, ${unassignable.orderStatus})`,
+      });
+    }
+
+    const assignedAt = new Date();
+    for (const order of orders) {
+      if (!order.driver || order.driver.toString() !== assignee._id.toString()) {
+        // A new driver starts without a known position
+        order.driverLocation = undefined;
+      }
+      order.driver = assignee._id;
+      order.assignedAt = assignedAt;
+      await order.save();
+    }
+
+    const io = req.app.get('io');
+    io.to(`user:${assignee._id}`).emit('deliveriesAssigned', { orders });
+    orders.forEach((order) => {
+      io.to(`order:${order._id}`).emit('driverAssigned', {
+        orderId: order._id.toString(),
+        driver: { _id: assignee._id, name: assignee.name },
+      });
+    });
+
+    console.log(`${orders.length} order(s) assigned to driver ${assignee.email} by ${req.user.email}`);
+    res.json({ driver: assignee, orders });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/drivers/deliveries
+// @desc    Get the deliveries assigned to the current driver (?status=all includes finished ones)
+// @access  Private (deliveries:handle)
+router.get('/deliveries', protect, requirePermission('deliveries:handle'), async (req, res) => {
+  try {
+    const query = { driver: req.user._id };
+    if (req.query.status !== 'all') {
+      query.orderStatus = { $nin: CLOSED_STATUSES };
+    }
+
+    const orders = await Order.find(query).sort({ assignedAt: 1 });
+    res.json(orders.map((order) => ({
+      ...order.toObject(),
+      allowedStatuses: getAllowedTransitions(order),
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/drivers/deliveries/:id/start
+// @desc    Pick up an assigned order and set it Out for Delivery
+// @access  Private (deliveries:handle)
+router.put('/deliveries/:id/start', protect, requirePermission('deliveries:handle'), async (req, res) => {
+  try {
+    const order = await findAssignedOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    if (!canTransition(order, 'Out for Delivery')) {
+      return res.status(400).json({
+        message: `Cannot start a delivery that is "${order.orderStatus}"`,
+        allowedStatuses: getAllowedTransitions(order),
+      });
+    }
+
+    order.setStatus('Out for Delivery', req.user._id, req.body.note);
+    await refreshOrderEta(order);
+    await order.save();
+
+    emitOrderStatusUpdate(req.app.get('io'), order);
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/drivers/deliveries/:id/delivered
+// @desc    Mark an assigned order delivered, with an optional photo (multipart "photo") or signature
+// @access  Private (deliveries:handle)
+router.put('/deliveries/:id/delivered', protect, requirePermission('deliveries:handle'), upload.single('photo'), async (req, res) => {
+  try {
+    const { signature, recipientName, note } = req.body;
+
+    const order = await findAssignedOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    if (!canTransition(order, 'Delivered')) {
+      return res.status(400).json({
+        message: `Cannot mark a delivery that is "${order.orderStatus}" as delivered`,
+        allowedStatuses: getAllowedTransitions(order),
+      });
+    }
+
+    if (signature && (signature.length > MAX_SIGNATURE_LENGTH || !SIGNATURE_PATTERN.test(signature))) {
+      return res.status(400).json({ message: 'Signature must be a PNG, JPEG or WebP image data URI under 1 MB' });
+    }
+
+    // Validate everything before uploading the proof
+    const proof = {
+      recipientName: recipientName ? String(recipientName).trim() : '',
+      note: note ? String(note).trim() : '',
+      deliveredAt: new Date(),
+    };
+    if (req.file) {
+      const photo = await uploadImage(fileToDataUri(req.file), PROOF_FOLDER);
+      proof.photoUrl = photo.url;
+      proof.photoPublicId = photo.publicId;
+    }
+    if (signature) {
+      const signatureImage = await uploadImage(signature, PROOF_FOLDER);
+      proof.signatureUrl = signatureImage.url;
+      proof.signaturePublicId = signatureImage.publicId;
+    }
+
+    order.proofOfDelivery = proof;
+    order.setStatus('Delivered', req.user._id, proof.note);
+    await refreshOrderEta(order);
+    await order.save();
+
+    try {
+      await awardOrderPoints(order);
+    } catch (loyaltyError) {
+      console.error('Error awarding loyalty points:', loyaltyError);
+    }
+
+    emitOrderStatusUpdate(req.app.get('io'), order);
+    res.json(order);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
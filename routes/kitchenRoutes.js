@@ -0,0 +1,124 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  toTicket,
+  getOpenTickets,
+  emitTicket,
+  findTicketOrder,
+  bumpTicket,
+  bumpTicketItem,
+  recallTicket,
+  setTicketRush,
+} = require('../utils/kitchenDisplay');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// How many bumped tickets are offered for recall
+const RECALL_LIST_LIMIT = 20;
+
+/**
+ * Reject malformed ticket IDs before querying
+ */
+const validateTicketId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: 'Ticket not found' });
+  }
+  next();
+};
+
+// @route   GET /api/kitchen/tickets
+// @desc    Get open tickets, or recently bumped ones with ?view=bumped
+// @access  Private (kitchen:use)
+router.get('/tickets', protect, requirePermission('kitchen:use'), async (req, res) => {
+  try {
+    if (req.query.view === 'bumped') {
+      const orders = await Order.find({
+        'kitchenTicket.bumpedAt': { $ne: null },
+        orderStatus: { $nin: ['Delivered', 'Cancelled'] },
+      })
+        .sort({ 'kitchenTicket.bumpedAt': -1 })
+        .limit(RECALL_LIST_LIMIT);
+      const now = new Date();
+      return res.json({ tickets: orders.map((order) => toTicket(order, now)), serverTime: now });
+    }
+
+    const tickets = await getOpenTickets();
+    res.json({ tickets, serverTime: new Date() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/kitchen/tickets/:id/bump
+// @desc    Bump a whole ticket off the kitchen screen
+// @access  Private (kitchen:use)
+router.put('/tickets/:id/bump', protect, requirePermission('kitchen:use'), validateTicketId, async (req, res) => {
+  try {
+    const order = await findTicketOrder(req.params.id);
+    bumpTicket(order, req.user);
+    await order.save();
+
+    emitTicket(req.app.get('io'), 'ticket:bumped', order);
+    res.json(toTicket(order));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/kitchen/tickets/:id/items/:itemId/bump
+// @desc    Bump a single item (the ticket is bumped with its last item)
+// @access  Private (kitchen:use)
+router.put('/tickets/:id/items/:itemId/bump', protect, requirePermission('kitchen:use'), validateTicketId, async (req, res) => {
+  try {
+    const order = await findTicketOrder(req.params.id);
+    const ticketBumped = bumpTicketItem(order, req.params.itemId, req.user);
+    await order.save();
+
+    emitTicket(req.app.get('io'), ticketBumped ? 'ticket:bumped' : 'ticket:updated', order);
+    res.json(toTicket(order));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/kitchen/tickets/:id/recall
+// @desc    Bring a bumped ticket back to the kitchen screen
+// @access  Private (kitchen:use)
+router.put('/tickets/:id/recall', protect, requirePermission('kitchen:use'), validateTicketId, async (req, res) => {
+  try {
+    const order = await findTicketOrder(req.params.id);
+    recallTicket(order);
+    await order.save();
+
+    emitTicket(req.app.get('io'), 'ticket:recalled', order);
+    res.json(toTicket(order));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/kitchen/tickets/:id/rush
+// @desc    Flag a ticket as rush or clear the flag
+// @access  Private (kitchen:use)
+router.put('/tickets/:id/rush', protect, requirePermission('kitchen:use'), validateTicketId, async (req, res) => {
+  try {
+    const rush = req.body.rush === undefined ? true : req.body.rush;
+    if (typeof rush !== 'boolean') {
+      return res.status(400).json({ message: 'rush must be true or false' });
+    }
+
+    const order = await findTicketOrder(req.params.id);
+    setTicketRush(order, rush, req.user);
+    await order.save();
+
+    emitTicket(req.app.get('io'), 'ticket:updated', order);
+    res.json(toTicket(order));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
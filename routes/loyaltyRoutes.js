@@ -0,0 +1,73 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { getLoyaltySummary, adjustPoints } = require('../utils/loyalty');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+const getPaging = (query) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || 50)),
+});
+
+const findCustomer = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return User.findById(id).select('name email loyaltyPoints');
+};
+
+// @route   GET /api/loyalty
+// @desc    Points balance, points expiring soon and the ledger (?page=, ?limit=)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    res.json(await getLoyaltySummary(req.user, getPaging(req.query)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/loyalty/users/:id
+// @desc    A customer's points balance and ledger
+// @access  Private (loyalty:adjust)
+router.get('/users/:id', protect, requirePermission('loyalty:adjust'), async (req, res) => {
+  try {
+    const user = await findCustomer(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      user: { _id: user._id, name: user.name, email: user.email },
+      ...(await getLoyaltySummary(user, getPaging(req.query))),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/loyalty/users/:id/adjust
+// @desc    Add (positive) or remove (negative) points with a reason
+// @access  Private (loyalty:adjust)
+router.post('/users/:id/adjust', protect, requirePermission('loyalty:adjust'), async (req, res) => {
+  try {
+    const { points, reason } = req.body;
+
+    const user = await findCustomer(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const entry = await adjustPoints(user, Number(points), reason, req.user);
+    console.log(`Loyalty points of ${user.email} adjusted by ${entry.points} by ${req.user.email}: ${entry.reason}`);
+
+    res.status(201).json({ balance: entry.balanceAfter, entry });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
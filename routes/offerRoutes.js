@@ -1,15 +1,18 @@
 const express = require('express');
 const Offer = require('../models/Offer');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const cloudinary = require('../config/cloudinary');
+const { buildOrderItems, roundCurrency } = require('../utils/orderPricing');
+const { validateOffer } = require('../utils/offerService');
+const { sendError } = require('../utils/httpError');
 
 const router = express.Router();
 
 // @route   GET /api/offers/all
 // @desc    Get all offers (admin)
-// @access  Private/Admin
-router.get('/all', protect, admin, async (req, res) => {
+// @access  Private (offers:write)
+router.get('/all', protect, requirePermission('offers:write'), async (req, res) => {
   try {
     const offers = await Offer.find().sort({ createdAt: -1 });
     res.json(offers);
@@ -50,15 +53,55 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   POST /api/offers/validate
+// @desc    Preview an offer code against a cart before placing the order
+// @access  Private
+router.post('/validate', protect, async (req, res) => {
+  try {
+    const { code, items, subtotal } = req.body;
+
+    let cartSubtotal;
+    if (items && items.length > 0) {
+      cartSubtotal = (await buildOrderItems(items)).subtotal;
+    } else {
+      cartSubtotal = parseFloat(subtotal);
+      if (isNaN(cartSubtotal) || cartSubtotal < 0) {
+        return res.status(400).json({ message: 'Please provide the cart items or subtotal' });
+      }
+    }
+
+    const { offer, discountAmount } = await validateOffer(code, {
+      subtotal: cartSubtotal,
+      userId: req.user._id,
+    });
+
+    res.json({
+      valid: true,
+      offerId: offer._id,
+      code: offer.code,
+      title: offer.title,
+      discount: offer.discount,
+      subtotal: roundCurrency(cartSubtotal),
+      discountAmount,
+      subtotalAfterDiscount: roundCurrency(cartSubtotal - discountAmount),
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ valid: false, message: error.message, ...(error.details || {}) });
+    }
+    sendError(res, error);
+  }
+});
+
 // @route   POST /api/offers
 // @desc    Create an offer
-// @access  Private/Admin
-router.post('/', protect, admin, upload.single('image'), async (req, res) => {
+// @access  Private (offers:write)
+router.post('/', protect, requirePermission('offers:write'), upload.single('image'), async (req, res) => {
   try {
     console.log('POST /api/offers - Request received');
     console.log('Request body:', req.body);
     console.log('Uploaded file:', req.file);
-    const { title, description, discount, code, validFrom, validUntil, minOrderAmount } = req.body;
+    const { title, description, discount, code, validFrom, validUntil, minOrderAmount, maxRedemptions, maxRedemptionsPerUser } = req.body;
 
     if (!title || !description || !discount || !code || !validFrom || !validUntil) {
       return res.status(400).json({ message: 'Please provide all required fields' });
@@ -120,6 +163,8 @@ router.post('/', protect, admin, upload.single('image'), async (req, res) => {
       validFrom: fromDate,
       validUntil: untilDate,
       minOrderAmount: minOrderAmount && minOrderAmount !== '' ? parseFloat(minOrderAmount) : 0,
+      maxRedemptions: maxRedemptions && maxRedemptions !== '' ? parseInt(maxRedemptions) : 0,
+      maxRedemptionsPerUser: maxRedemptionsPerUser && maxRedemptionsPerUser !== '' ? parseInt(maxRedemptionsPerUser) : 0,
       image: imageUrl,
       cloudinary_id: cloudinaryId,
     });
@@ -140,10 +185,10 @@ router.post('/', protect, admin, upload.single('image'), async (req, res) => {
 
 // @route   PUT /api/offers/:id
 // @desc    Update an offer
-// @access  Private/Admin
-router.put('/:id', protect, admin, upload.single('image'), async (req, res) => {
+// @access  Private (offers:write)
+router.put('/:id', protect, requirePermission('offers:write'), upload.single('image'), async (req, res) => {
   try {
-    const { title, description, discount, code, validFrom, validUntil, isActive, minOrderAmount } = req.body;
+    const { title, description, discount, code, validFrom, validUntil, isActive, minOrderAmount, maxRedemptions, maxRedemptionsPerUser } = req.body;
     const offer = await Offer.findById(req.params.id);
 
     if (!offer) {
@@ -165,6 +210,8 @@ router.put('/:id', protect, admin, upload.single('image'), async (req, res) => {
     if (validUntil) offer.validUntil = new Date(validUntil);
     if (isActive !== undefined) offer.isActive = isActive;
     if (minOrderAmount !== undefined) offer.minOrderAmount = parseFloat(minOrderAmount);
+    if (maxRedemptions !== undefined) offer.maxRedemptions = parseInt(maxRedemptions) || 0;
+    if (maxRedemptionsPerUser !== undefined) offer.maxRedemptionsPerUser = parseInt(maxRedemptionsPerUser) || 0;
     // Update image only if a new file is uploaded
     if (req.file) {
       // Delete old image from Cloudinary if it exists
@@ -206,8 +253,8 @@ router.put('/:id', protect, admin, upload.single('image'), async (req, res) => {
 
 // @route   DELETE /api/offers/:id
 // @desc    Delete an offer
-// @access  Private/Admin
-router.delete('/:id', protect, admin, async (req, res) => {
+// @access  Private (offers:write)
+router.delete('/:id', protect, requirePermission('offers:write'), async (req, res) => {
   try {
     const offer = await Offer.findById(req.params.id);
     if (!offer) {
@@ -1,12 +1,59 @@
 const express = require('express');
 const Order = require('../models/Order');
-const { protect, admin } = require('../middleware/auth');
-const { calculateDistance, calculateDeliveryCharge, geocodeAddress } = require('../utils/distanceCalculator');
+const User = require('../models/User');
+const StoreSettings = require('../models/StoreSettings');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
+const { canUsePermission } = require('../utils/twoFactor');
+const { idempotent } = require('../middleware/idempotency');
+const { calculateDistance } = require('../utils/distanceCalculator');
+const { geocodeAddress } = require('../utils/geocoder');
 const { generateOrderPDF } = require('../utils/pdfGenerator');
 const { sendPickupReadyNotification } = require('../utils/notificationService');
+const { buildOrderItems, roundCurrency } = require('../utils/orderPricing');
+const { validateOffer, reserveOfferRedemption, releaseOfferRedemption } = require('../utils/offerService');
+const { sendError } = require('../utils/httpError');
+const {
+  ORDER_STATUSES,
+  PAYMENT_METHODS,
+  canTransition,
+  getAllowedTransitions,
+  isPaymentCleared,
+} = require('../utils/orderStatus');
+const {
+  getOrderUserId,
+  applyRefund,
+  applyCancellation,
+  releaseCancelledOrder,
+  emitOrderCancelled,
+  emitOrderRefunded,
+} = require('../utils/orderCancellation');
+const { validateSlot, reserveSlot, releaseSlot } = require('../utils/slotService');
+const { assertAcceptingOrders } = require('../utils/storeSchedule');
+const { quoteDelivery, assertMinimumOrder } = require('../utils/deliveryZones');
+const { isDueForKitchen, releaseOrderToKitchen } = require('../utils/kitchenDispatch');
+const { emitOrderStatusUpdate } = require('../utils/orderEvents');
+const { refreshOrderEta } = require('../utils/orderEta');
+const { startPayment, refundPayment, cancelOpenPayment } = require('../utils/paymentService');
+const { toTrackingView } = require('../utils/orderTracking');
+const { findAddress, formatAddress, toAddressSnapshot } = require('../utils/addressBook');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { getClaimableFilter, sendClaimEmail, claimGuestOrders } = require('../utils/orderClaim');
+const { consumeRateLimit } = require('../utils/rateLimiter');
+const {
+  validateRedemption,
+  redeemOrderPoints,
+  restoreRedeemedPoints,
+  awardOrderPoints,
+  reverseEarnedPoints,
+} = require('../utils/loyalty');
 
 const router = express.Router();
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Claim emails a user may request (see POST /claim)
+const CLAIM_LIMIT_PER_USER = { limit: 3, windowSeconds: 60 * 60 };
+
 // Restaurant location (Bahnhof str.119, 47137 Duisburg)
 const RESTAURANT_LOCATION = {
   lat: 51.4322,
@@ -14,95 +61,271 @@ const RESTAURANT_LOCATION = {
 };
 
 // @route   POST /api/orders
-// @desc    Create a new order
-// @access  Private
-router.post('/', protect, async (req, res) => {
+// @desc    Create a new order, logged in or as a guest with name, email and phone
+//          (retries with the same Idempotency-Key header replay the first response).
+//          Logged-in customers may deliver to a saved address with addressId and
+//          pay part of the food with loyalty points (redeemPoints).
+// @access  Public
+router.post('/', optionalAuth, idempotent, async (req, res) => {
   try {
-    const { items, totalAmount, customerName, customerEmail, paymentMethod, deliveryType, address } = req.body;
+    const {
+      items,
+      customerName,
+      customerEmail,
+      customerPhone,
+      paymentMethod,
+      deliveryType,
+      address,
+      addressId,
+      offerCode,
+      redeemPoints,
+      scheduledFor,
+    } = req.body;
+    const isGuest = !req.user;
 
     console.log('=== ORDER CREATION ===');
     console.log('Delivery Type:', deliveryType);
     console.log('Address:', address);
-    console.log('Subtotal received:', totalAmount);
 
-    if (!items || items.length === 0 || !totalAmount || !customerName || !customerEmail) {
+    if (!items || items.length === 0 || !customerName || !customerEmail) {
       return res.status(400).json({ message: 'Please provide all required fields' });
     }
+    if (!EMAIL_PATTERN.test(String(customerEmail).trim())) {
+      return res.status(400).json({ message: 'Please provide a valid email address' });
+    }
+    // Guests are reached by phone when something goes wrong with the order
+    if (isGuest && !customerPhone) {
+      return res.status(400).json({ message: 'Please provide a valid phone number' });
+    }
+    if (isGuest && addressId) {
+      return res.status(400).json({ message: 'Please log in to use a saved address' });
+    }
+    if (isGuest && redeemPoints) {
+      return res.status(400).json({ message: 'Please log in to redeem loyalty points' });
+    }
+    if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+
+    // Phone and saved address are copied onto the order, so later profile edits don't change it
+    const phone = customerPhone ? normalizePhoneNumber(customerPhone) : (!isGuest && req.user.phone) || '';
+    const savedAddress = addressId ? findAddress(req.user, addressId) : null;
+
+    // Prices always come from the catalog, never from the client
+    const pricing = await buildOrderItems(items);
+    const settings = await StoreSettings.getSettings();
+
+    // Guests too: otherwise an unverified account could log out and order with the same email
+    let unverified = !isGuest && !req.user.emailVerified;
+    if (isGuest && !settings.allowUnverifiedOrders) {
+      unverified = await User.exists({
+        email: String(customerEmail).trim().toLowerCase(),
+        emailVerified: false,
+      });
+    }
+    if (unverified && !settings.allowUnverifiedOrders) {
+      return res.status(403).json({
+        message: 'Please verify your email address before placing an order',
+        code: 'EMAIL_NOT_VERIFIED',
+      });
+    }
+
+    // Pre-orders must land on a slot that still has capacity
+    let slotStart = null;
+    if (scheduledFor) {
+      slotStart = await validateSlot(settings, scheduledFor, pricing.items);
+      console.log('Scheduled for:', slotStart.toISOString());
+    }
+
+    // Refuse ASAP orders while closed/paused and pre-orders outside opening hours
+    assertAcceptingOrders(settings, slotStart);
+
+    let offer = null;
+    let offerDiscount = 0;
+    if (offerCode) {
+      const validation = await validateOffer(offerCode, {
+        subtotal: pricing.subtotal,
+        userId: isGuest ? null : req.user._id,
+        email: customerEmail,
+      });
+      offer = validation.offer;
+      offerDiscount = validation.discountAmount;
+      console.log(`Offer ${offer.code} applied: -€${offerDiscount.toFixed(2)}`);
+    }
+
+    // Points cover what is left of the food after the offer
+    let loyaltyRedemption = null;
+    if (redeemPoints) {
+      loyaltyRedemption = validateRedemption(req.user, Number(redeemPoints), {
+        maxDiscount: roundCurrency(pricing.subtotal - offerDiscount),
+        settings,
+      });
+      console.log(`Redeeming ${loyaltyRedemption.points} points: -€${loyaltyRedemption.discount.toFixed(2)}`);
+    }
+    const discountAmount = roundCurrency(offerDiscount + (loyaltyRedemption ? loyaltyRedemption.discount : 0));
 
     let distance = 0;
     let deliveryCharge = 0;
+    let deliveryZone;
+    let deliveryAddress = typeof address === 'string' ? address : '';
+    let addressLocation;
+    let addressSnapshot;
 
-    // Calculate distance and delivery charge if delivery is selected
+    // Delivery is priced by the zone the address falls into
     if (deliveryType === 'delivery') {
-      if (address && address.trim().length > 0) {
-        try {
-          console.log('Calculating delivery for address:', address);
-          const customerLocation = await geocodeAddress(address);
-          distance = calculateDistance(
-            RESTAURANT_LOCATION.lat,
-            RESTAURANT_LOCATION.lng,
-            customerLocation.lat,
-            customerLocation.lng
-          );
-          deliveryCharge = calculateDeliveryCharge(distance);
-          console.log(`Distance: ${distance.toFixed(2)} km, Delivery Charge: €${deliveryCharge.toFixed(2)}`);
-        } catch (error) {
-          console.error('Error calculating distance:', error);
-          // Use default distance for demo (8km = €2 charge)
-          distance = 8.0;
-          deliveryCharge = calculateDeliveryCharge(distance);
-          console.log(`Using default distance: ${distance} km, Delivery Charge: €${deliveryCharge.toFixed(2)}`);
-        }
+      if (!savedAddress && (!address || (typeof address === 'string' && address.trim().length === 0))) {
+        return res.status(400).json({ message: 'Please provide a delivery address' });
+      }
+
+      let location;
+      if (savedAddress) {
+        // Geocoded when it was saved; the order keeps a copy with the driver notes
+        location = {
+          lat: savedAddress.location.lat,
+          lng: savedAddress.location.lng,
+          postcode: savedAddress.postcode,
+          text: formatAddress(savedAddress),
+        };
+        addressSnapshot = toAddressSnapshot(savedAddress);
       } else {
-        // If delivery is selected but no address, use default charge (€2 for ≤10km)
-        console.warn('Delivery selected but no address provided, using default charge');
-        distance = 8.0;
-        deliveryCharge = calculateDeliveryCharge(distance);
-        console.log(`Default delivery charge: €${deliveryCharge.toFixed(2)}`);
+        // Unknown or ambiguous addresses are rejected so the customer can correct them
+        location = await geocodeAddress(address);
       }
+      distance = calculateDistance(
+        RESTAURANT_LOCATION.lat,
+        RESTAURANT_LOCATION.lng,
+        location.lat,
+        location.lng
+      );
+      deliveryAddress = location.text;
+      addressLocation = { lat: location.lat, lng: location.lng };
+      console.log('Calculating delivery for address:', deliveryAddress);
+
+      const orderValue = roundCurrency(pricing.subtotal - discountAmount);
+      const quote = await quoteDelivery({
+        location,
+        postcode: location.postcode,
+        orderValue,
+      });
+      assertMinimumOrder(quote, orderValue);
+
+      deliveryCharge = quote.deliveryCharge;
+      deliveryZone = {
+        zone: quote.zone._id,
+        name: quote.zone.name,
+        matchedBy: quote.matchedBy,
+        reason: quote.reason,
+      };
+      console.log(`Zone: ${quote.zone.name} (${quote.reason}), Distance: ${distance.toFixed(2)} km, Delivery Charge: €${deliveryCharge.toFixed(2)}`);
     }
 
-    const finalTotal = parseFloat(totalAmount) + deliveryCharge;
-    console.log(`Order total: Subtotal (€${parseFloat(totalAmount).toFixed(2)}) + Delivery (€${deliveryCharge.toFixed(2)}) = €${finalTotal.toFixed(2)}`);
+    const finalTotal = roundCurrency(pricing.subtotal - discountAmount + deliveryCharge);
+    console.log(`Order total: Subtotal (€${pricing.subtotal.toFixed(2)}) - Discounts (€${discountAmount.toFixed(2)}) + Delivery (€${deliveryCharge.toFixed(2)}) = €${finalTotal.toFixed(2)}`);
 
-    const order = await Order.create({
-      user: req.user._id,
-      items,
-      totalAmount: finalTotal, // This includes delivery charge
-      customerName,
-      customerEmail,
-      paymentMethod: paymentMethod || 'card',
-      paymentStatus: 'completed',
-      deliveryType: deliveryType || 'pickup',
-      address: address || '',
-      distance: distance,
-      deliveryCharge: deliveryCharge,
-    });
+    // Count the redemption before saving so concurrent orders can't exceed the limit
+    const offerCustomer = { userId: isGuest ? null : req.user._id, email: customerEmail };
+    if (offer) {
+      await reserveOfferRedemption(offer, offerCustomer);
+    }
+
+    let order;
+    let paymentIntent;
+    let slotReserved = false;
+    let pointsRedeemed = false;
+    try {
+      // Same for the slot capacity of pre-orders
+      if (slotStart) {
+        await reserveSlot(settings, slotStart, pricing.items);
+        slotReserved = true;
+      }
+
+      order = new Order({
+        user: isGuest ? null : req.user._id,
+        isGuest,
+        items: pricing.items,
+        subtotal: pricing.subtotal,
+        discountAmount,
+        offer: offer ? offer._id : undefined,
+        offerCode: offer ? offer.code : undefined,
+        offerDiscount,
+        loyalty: loyaltyRedemption
+          ? { pointsRedeemed: loyaltyRedemption.points, redeemedDiscount: loyaltyRedemption.discount }
+          : undefined,
+        totalAmount: finalTotal, // This includes delivery charge
+        customerName,
+        customerEmail,
+        customerPhone: phone,
+        paymentMethod: paymentMethod || 'card',
+        deliveryType: deliveryType || 'pickup',
+        address: deliveryAddress,
+        deliveryAddress: addressSnapshot,
+        addressLocation,
+        distance: distance,
+        deliveryCharge: deliveryCharge,
+        deliveryZone,
+        scheduledFor: slotStart,
+      });
+      await refreshOrderEta(order, settings);
+      if (loyaltyRedemption) {
+        await redeemOrderPoints(order);
+        pointsRedeemed = true;
+      }
+      // Online orders stay pending until the provider confirms the payment
+      paymentIntent = await startPayment(order);
+      await order.save();
+    } catch (createError) {
+      if (offer) {
+        await releaseOfferRedemption(offer._id, offerCustomer);
+      }
+      if (slotReserved) {
+        await releaseSlot(slotStart, pricing.items);
+      }
+      if (pointsRedeemed) {
+        await restoreRedeemedPoints(order, 'Order could not be placed');
+      }
+      throw createError;
+    }
 
     console.log('=== ORDER CREATED ===');
     console.log('Order ID:', order._id);
     console.log('Delivery Type:', order.deliveryType);
-    console.log('Subtotal:', parseFloat(totalAmount).toFixed(2));
+    console.log('Subtotal:', order.subtotal.toFixed(2));
     console.log('Delivery Charge:', order.deliveryCharge.toFixed(2));
     console.log('Final Total Amount:', order.totalAmount.toFixed(2));
+    console.log('Estimated ready at:', order.eta.readyAt.toISOString());
     console.log('===================');
 
-    // Emit new order event (will be handled by Socket.io in server.js)
-    req.app.get('io').emit('newOrder', order);
+    // Due cash orders go to the kitchen now; paid orders follow the payment webhook
+    // and pre-orders are released by the kitchen scheduler
+    if (isDueForKitchen(order, settings)) {
+      await releaseOrderToKitchen(req.app.get('io'), order);
+    }
 
-    res.status(201).json(order);
+    res.status(201).json({
+      ...order.toObject(),
+      paymentIntent,
+    });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 });
 
 // @route   GET /api/orders
-// @desc    Get all orders (admin) or user's orders
+// @desc    Get all orders (admin) or user's orders. Admins can pass ?sort=scheduled
+//          for a due-time queue (soonest first)
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
     let orders;
-    if (req.user.isAdmin) {
+    const canReadAll = await canUsePermission(req.user, 'orders:read-all');
+    if (canReadAll && req.query.sort === 'scheduled') {
+      // Sort by when the order is due: the slot for pre-orders, placement time for ASAP orders
+      orders = await Order.aggregate([
+        { $addFields: { dueAt: { $ifNull: ['$scheduledFor', '$createdAt'] } } },
+        { $sort: { dueAt: 1 } },
+      ]);
+      orders = await Order.populate(orders, { path: 'user', select: 'name email' });
+    } else if (canReadAll) {
       orders = await Order.find().populate('user', 'name email').sort({ createdAt: -1 });
     } else {
       orders = await Order.find({ user: req.user._id }).sort({ createdAt: -1 });
@@ -113,16 +336,84 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/track/:token
+// @desc    Public tracking view of an order (status, timeline, ETA and items only)
+// @access  Public
+router.get('/track/:token', async (req, res) => {
+  try {
+    const order = await Order.findOne({ trackingToken: req.params.token });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.json(toTrackingView(order));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/orders/claimable
+// @desc    Count guest orders placed with the logged-in user's email
+// @access  Private
+router.get('/claimable', protect, async (req, res) => {
+  try {
+    const count = await Order.countDocuments(getClaimableFilter(req.user.email));
+    res.json({ count });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/orders/claim
+// @desc    Email a link to the user's address for moving its guest orders into the account
+// @access  Private
+router.post('/claim', protect, async (req, res) => {
+  try {
+    const attempts = await consumeRateLimit('claim-orders:user', req.user._id, CLAIM_LIMIT_PER_USER);
+    if (!attempts.allowed) {
+      return res.status(429).json({ message: 'Too many claim emails, please try again later', retryAfter: attempts.retryAfter });
+    }
+
+    // Otherwise anyone could sign up with someone else's email and take their orders
+    const { count, sentTo } = await sendClaimEmail(req.user);
+    res.json({ message: `We sent a link to ${sentTo} to add ${count} order(s) to your account` });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/orders/claim/:token
+// @desc    Move the guest orders into the account with the link from the claim email
+// @access  Private
+router.post('/claim/:token', protect, async (req, res) => {
+  try {
+    const claimed = await claimGuestOrders(req.user, req.params.token);
+    console.log(`${claimed} guest order(s) claimed by ${req.user.email}`);
+    res.json({ claimed });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // @route   GET /api/orders/:id
 // @desc    Get single order by ID
-// @access  Public (for tracking)
-router.get('/:id', async (req, res) => {
+// @access  Private (owner, assigned driver or admin)
+router.get('/:id', protect, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id).populate('user', 'name email');
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
-    res.json(order);
+
+    const isOwner = getOrderUserId(order) === req.user._id.toString();
+    const isAssignedDriver = order.driver && order.driver.toString() === req.user._id.toString();
+    if (!isOwner && !isAssignedDriver && !await canUsePermission(req.user, 'orders:read-all')) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json({
+      ...order.toObject(),
+      allowedStatuses: getAllowedTransitions(order),
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -130,13 +421,12 @@ router.get('/:id', async (req, res) => {
 
 // @route   PUT /api/orders/:id/status
 // @desc    Update order status
-// @access  Private/Admin
-router.put('/:id/status', protect, admin, async (req, res) => {
+// @access  Private (orders:update-status)
+router.put('/:id/status', protect, requirePermission('orders:update-status'), async (req, res) => {
   try {
-    const { orderStatus } = req.body;
-    const validStatuses = ['Pending', 'Preparing', 'Ready for Pickup', 'Out for Delivery', 'Delivered'];
+    const { orderStatus, note } = req.body;
 
-    if (!validStatuses.includes(orderStatus)) {
+    if (!ORDER_STATUSES.includes(orderStatus)) {
       return res.status(400).json({ message: 'Invalid order status' });
     }
 
@@ -145,18 +435,33 @@ router.put('/:id/status', protect, admin, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    if (!canTransition(order, orderStatus)) {
+      return res.status(400).json({
+        message: `Cannot change a ${order.deliveryType} order from "${order.orderStatus}" to "${orderStatus}"`,
+        allowedStatuses: getAllowedTransitions(order),
+      });
+    }
+
+    if (!isPaymentCleared(order)) {
+      return res.status(400).json({ message: 'This order has not been paid yet' });
+    }
+
     const previousStatus = order.orderStatus;
-    order.orderStatus = orderStatus;
+    order.setStatus(orderStatus, req.user._id, note);
+    await refreshOrderEta(order);
     await order.save();
 
-    // Convert order._id to string for Socket.io
-    const orderIdString = order._id.toString();
-
     const io = req.app.get('io');
-    // Emit to all clients (for admin dashboard)
-    io.emit('orderStatusUpdate', { orderId: orderIdString, status: orderStatus });
-    // Emit to specific order room (for customer tracking)
-    io.to(`order:${orderIdString}`).emit('orderStatusUpdate', { orderId: orderIdString, status: orderStatus, order });
+    emitOrderStatusUpdate(io, order);
+
+    // Picked up or delivered: the customer earns loyalty points
+    if (orderStatus === 'Delivered' && previousStatus !== 'Delivered') {
+      try {
+        await awardOrderPoints(order);
+      } catch (loyaltyError) {
+        console.error('Error awarding loyalty points:', loyaltyError);
+      }
+    }
 
     // Send pickup ready notification if status changed to "Ready for Pickup"
     if (orderStatus === 'Ready for Pickup' && previousStatus !== 'Ready for Pickup') {
@@ -175,10 +480,93 @@ router.put('/:id/status', protect, admin, async (req, res) => {
   }
 });
 
+// @route   PUT /api/orders/:id/cancel
+// @desc    Cancel an order (customers while Pending, staff with orders:cancel-any at any stage)
+// @access  Private
+router.put('/:id/cancel', protect, idempotent, async (req, res) => {
+  try {
+    const { reason, refundAmount } = req.body;
+
+    // Choosing the refund amount is a refund decision
+    if (refundAmount !== undefined && !await canUsePermission(req.user, 'orders:refund')) {
+      return res.status(403).json({ message: 'Not authorized (requires orders:refund)', permission: 'orders:refund' });
+    }
+
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const refund = applyCancellation(order, {
+      user: req.user,
+      isAdmin: await canUsePermission(req.user, 'orders:cancel-any'),
+      reason,
+      refundAmount,
+    });
+    if (refund) {
+      await refundPayment(order, refund);
+    } else {
+      await cancelOpenPayment(order);
+    }
+    await refreshOrderEta(order);
+    await order.save();
+    await releaseCancelledOrder(order);
+
+    const io = req.app.get('io');
+    emitOrderCancelled(io, order);
+    if (refund) {
+      emitOrderRefunded(io, order, refund);
+    }
+
+    res.json(order);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/orders/:id/refund
+// @desc    Refund an order fully or partially
+// @access  Private (orders:refund)
+router.post('/:id/refund', protect, requirePermission('orders:refund'), idempotent, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'Please provide a refund reason' });
+    }
+
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const refund = applyRefund(order, {
+      amount,
+      reason: reason.trim(),
+      refundedBy: req.user._id,
+    });
+    await refundPayment(order, refund);
+    await order.save();
+
+    // The money is already back with the customer; a loyalty error must not fail the refund
+    try {
+      await reverseEarnedPoints(order, refund.amount);
+    } catch (loyaltyError) {
+      console.error('Error reversing loyalty points:', loyaltyError);
+    }
+
+    emitOrderRefunded(req.app.get('io'), order, refund);
+
+    res.json(order);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // @route   GET /api/orders/:id/print
 // @desc    Get order print view (HTML for printing)
-// @access  Private/Admin
-router.get('/:id/print', protect, admin, async (req, res) => {
+// @access  Private (orders:print)
+router.get('/:id/print', protect, requirePermission('orders:print'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id).populate('user', 'name email');
     if (!order) {
@@ -0,0 +1,107 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { canUsePermission } = require('../utils/twoFactor');
+const { idempotent } = require('../middleware/idempotency');
+const { getOrderUserId } = require('../utils/orderCancellation');
+const {
+  getPaymentProvider,
+  handlePaymentWebhook,
+  retryPayment,
+  settleCashPayment,
+} = require('../utils/paymentService');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+/**
+ * Load the order from :id or answer 404
+ */
+const loadOrder = async (req, res) => {
+  const order = mongoose.Types.ObjectId.isValid(req.params.id) ? await Order.findById(req.params.id) : null;
+  if (!order) {
+    res.status(404).json({ message: 'Order not found' });
+  }
+  return order;
+};
+
+// @route   GET /api/payments/config
+// @desc    Payment provider and publishable key for the checkout
+// @access  Public
+router.get('/config', (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    res.json({
+      provider: provider.name,
+      publishableKey: provider.name === 'stripe' ? process.env.STRIPE_PUBLISHABLE_KEY || null : null,
+      currency: 'eur',
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Payment confirmation from the provider (signed)
+// @access  Public
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const order = await handlePaymentWebhook(req.app.get('io'), req.params.provider, req.rawBody, req.headers);
+    if (order) {
+      console.log(`Payment webhook: order ${order._id} is ${order.paymentStatus}`);
+    }
+    res.json({ received: true });
+  } catch (error) {
+    if (!error.status) {
+      console.error('Error handling payment webhook:', error);
+    }
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/payments/orders/:id/retry
+// @desc    Start a new payment for an unpaid or failed online order
+//          (guests send the order's { trackingToken })
+// @access  Public (owner or tracking token)
+router.post('/orders/:id/retry', optionalAuth, idempotent, async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const { trackingToken } = req.body;
+    const isOwner = req.user && getOrderUserId(order) === req.user._id.toString();
+    const hasTrackingToken = typeof trackingToken === 'string' && trackingToken === order.trackingToken;
+    if (!isOwner && !hasTrackingToken) {
+      return res.status(403).json({ message: 'Not authorized to pay this order' });
+    }
+
+    const paymentIntent = await retryPayment(order);
+    res.json({ orderId: order._id, paymentStatus: order.paymentStatus, paymentIntent });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PUT /api/payments/orders/:id/settle
+// @desc    Record that a cash order was paid at the counter or at the door
+// @access  Private (payments:settle or assigned driver)
+router.put('/orders/:id/settle', protect, async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const isAssignedDriver = order.driver && order.driver.toString() === req.user._id.toString()
+      && await canUsePermission(req.user, 'deliveries:handle');
+    if (!isAssignedDriver && !await canUsePermission(req.user, 'payments:settle')) {
+      return res.status(403).json({ message: 'Not authorized to settle this order' });
+    }
+
+    await settleCashPayment(req.app.get('io'), order, req.user);
+    res.json(order);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
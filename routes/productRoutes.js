@@ -1,8 +1,9 @@
 const express = require('express');
 const Product = require('../models/Product');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const cloudinary = require('../config/cloudinary');
+const { parseVariants, parseModifierGroups } = require('../utils/productOptions');
 
 const router = express.Router();
 
@@ -37,8 +38,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST create product (admin only)
-router.post('/', protect, admin, upload.single('image'), async (req, res) => {
+// POST create product (products:write)
+router.post('/', protect, requirePermission('products:write'), upload.single('image'), async (req, res) => {
   try {
     console.log('POST /api/products - Request received');
     console.log('Request body:', {
@@ -58,6 +59,13 @@ router.post('/', protect, admin, upload.single('image'), async (req, res) => {
       return res.status(400).json({ message: 'Image file is required' });
     }
 
+    // Validate sizes and modifiers before uploading anything
+    const variants = parseVariants(req.body.variants);
+    const modifierGroups = parseModifierGroups(req.body.modifierGroups);
+    const price = variants.length > 0
+      ? Math.min(...variants.map((variant) => variant.price))
+      : parseFloat(req.body.price);
+
     // Check Cloudinary configuration
     if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
       console.error('Cloudinary configuration missing!');
@@ -140,7 +148,9 @@ router.post('/', protect, admin, upload.single('image'), async (req, res) => {
       name: req.body.name,
       description: req.body.description,
       category: req.body.category,
-      price: parseFloat(req.body.price),
+      price,
+      variants,
+      modifierGroups,
       image: uploaded.secure_url,
       cloudinary_id: uploaded.public_id,
       featured: req.body.featured === "true"
@@ -156,6 +166,10 @@ router.post('/', protect, admin, upload.single('image'), async (req, res) => {
     // Provide more detailed error message
     let errorMessage = err.message || 'Failed to create product';
     
+    if (err.status === 400) {
+      return res.status(400).json({ message: errorMessage });
+    }
+
     // Handle validation errors
     if (err.name === 'ValidationError') {
       const messages = Object.values(err.errors).map(e => e.message).join(', ');
@@ -170,14 +184,18 @@ router.post('/', protect, admin, upload.single('image'), async (req, res) => {
   }
 });
 
-// PUT update product (admin only)
-router.put('/:id', protect, admin, upload.single('image'), async (req, res) => {
+// PUT update product (products:write)
+router.put('/:id', protect, requirePermission('products:write'), upload.single('image'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    // Validate sizes and modifiers before touching the image
+    const variants = req.body.variants !== undefined ? parseVariants(req.body.variants) : null;
+    const modifierGroups = req.body.modifierGroups !== undefined ? parseModifierGroups(req.body.modifierGroups) : null;
+
     let imageUrl = product.image;
     let cloudinaryId = product.cloudinary_id;
 
@@ -232,6 +250,11 @@ router.put('/:id', protect, admin, upload.single('image'), async (req, res) => {
     product.description = req.body.description || product.description;
     product.category = req.body.category || product.category;
     product.price = req.body.price ? parseFloat(req.body.price) : product.price;
+    if (variants) product.variants = variants;
+    if (modifierGroups) product.modifierGroups = modifierGroups;
+    if (product.variants.length > 0) {
+      product.price = Math.min(...product.variants.map((variant) => variant.price));
+    }
     product.image = imageUrl;
     product.cloudinary_id = cloudinaryId;
     product.featured = req.body.featured !== undefined ? req.body.featured === "true" : product.featured;
@@ -243,6 +266,9 @@ router.put('/:id', protect, admin, upload.single('image'), async (req, res) => {
   } catch (err) {
     console.error("Product Update Error:", err);
     const errorMessage = err.message || 'Failed to update product';
+    if (err.status === 400) {
+      return res.status(400).json({ message: errorMessage });
+    }
     res.status(500).json({ 
       message: errorMessage,
       error: process.env.NODE_ENV !== 'production' ? err.stack : undefined
@@ -250,8 +276,8 @@ router.put('/:id', protect, admin, upload.single('image'), async (req, res) => {
   }
 });
 
-// DELETE product (admin only)
-router.delete('/:id', protect, admin, async (req, res) => {
+// DELETE product (products:write)
+router.delete('/:id', protect, requirePermission('products:write'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
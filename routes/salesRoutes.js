@@ -1,59 +1,133 @@
 const express = require('express');
 const Order = require('../models/Order');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { getStatusTime } = require('../utils/orderEta');
 
 const router = express.Router();
 
+// Orders that were paid at some point (refunds are subtracted from the totals)
+const PAID_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Orders up to this many minutes late still count as on time in the ETA report
+const DEFAULT_ETA_TOLERANCE_MINUTES = 5;
+
+/**
+ * Count paid orders and net sales (after refunds) since a date
+ * @param {Date} since - Start of the period
+ */
+const summarizeSales = async (since) => {
+  const result = await Order.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: since },
+        paymentStatus: { $in: PAID_PAYMENT_STATUSES },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: { $cond: [{ $eq: ['$orderStatus', 'Cancelled'] }, 0, 1] } },
+        total: { $sum: { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] } },
+        refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+      },
+    },
+  ]);
+
+  const summary = result[0] || { orders: 0, total: 0, refunds: 0 };
+  return {
+    orders: summary.orders,
+    sales: parseFloat(summary.total.toFixed(2)),
+    refunds: parseFloat(summary.refunds.toFixed(2)),
+  };
+};
+
+/**
+ * Average delay and on-time rate for a list of delays in minutes
+ * @param {Number[]} delays - Actual minus promised, in minutes
+ * @param {Number} tolerance - Minutes late that still count as on time
+ */
+const summarizeDelays = (delays, tolerance) => {
+  if (delays.length === 0) {
+    return { orders: 0, averageDelayMinutes: 0, averageErrorMinutes: 0, onTimeRate: 0, maxDelayMinutes: 0 };
+  }
+  const sum = delays.reduce((total, delay) => total + delay, 0);
+  const errorSum = delays.reduce((total, delay) => total + Math.abs(delay), 0);
+  return {
+    orders: delays.length,
+    averageDelayMinutes: parseFloat((sum / delays.length).toFixed(1)),
+    averageErrorMinutes: parseFloat((errorSum / delays.length).toFixed(1)),
+    onTimeRate: parseFloat((delays.filter((delay) => delay <= tolerance).length / delays.length * 100).toFixed(1)),
+    maxDelayMinutes: parseFloat(Math.max(...delays).toFixed(1)),
+  };
+};
+
+/**
+ * Start and end of the current day, week or month
+ * @param {String} period - daily, weekly or monthly
+ * @param {Date} [now]
+ */
+const getPeriodRange = (period, now = new Date()) => {
+  let startDate, endDate;
+
+  switch (period) {
+    case 'daily':
+      startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+      break;
+    case 'weekly':
+      const dayOfWeek = now.getDay();
+      startDate = new Date(now);
+      startDate.setDate(now.getDate() - dayOfWeek);
+      startDate.setHours(0, 0, 0, 0);
+      endDate = new Date(startDate);
+      endDate.setDate(startDate.getDate() + 7);
+      break;
+    case 'monthly':
+      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+      break;
+    default:
+      startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  }
+
+  return { startDate, endDate };
+};
+
 // @route   GET /api/sales/report
 // @desc    Get sales report (daily, weekly, monthly)
-// @access  Private/Admin
-router.get('/report', protect, admin, async (req, res) => {
+// @access  Private (sales:read)
+router.get('/report', protect, requirePermission('sales:read'), async (req, res) => {
   try {
     const { period = 'daily' } = req.query; // daily, weekly, monthly
 
-    let startDate, endDate;
-    const now = new Date();
-    
-    switch (period) {
-      case 'daily':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-        break;
-      case 'weekly':
-        const dayOfWeek = now.getDay();
-        startDate = new Date(now);
-        startDate.setDate(now.getDate() - dayOfWeek);
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date(startDate);
-        endDate.setDate(startDate.getDate() + 7);
-        break;
-      case 'monthly':
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-        break;
-      default:
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-    }
+    const { startDate, endDate } = getPeriodRange(period);
 
     const orders = await Order.find({
       createdAt: { $gte: startDate, $lt: endDate },
-      paymentStatus: 'completed',
+      paymentStatus: { $in: PAID_PAYMENT_STATUSES },
     }).populate('user', 'name email').sort({ createdAt: -1 });
 
-    // Calculate totals
-    const totalSales = orders.reduce((sum, order) => sum + order.totalAmount, 0);
-    const totalOrders = orders.length;
-    const totalDeliveryCharges = orders.reduce((sum, order) => sum + (order.deliveryCharge || 0), 0);
-    const pickupOrders = orders.filter(o => o.deliveryType === 'pickup').length;
-    const deliveryOrders = orders.filter(o => o.deliveryType === 'delivery').length;
+    // Cancelled orders don't count as sales; refunds are subtracted from the gross
+    const activeOrders = orders.filter(o => o.orderStatus !== 'Cancelled');
+    const grossSales = orders.reduce((sum, order) => sum + order.totalAmount, 0);
+    const totalRefunds = orders.reduce((sum, order) => sum + (order.refundedAmount || 0), 0);
+    const totalSales = grossSales - totalRefunds;
+    const totalOrders = activeOrders.length;
+    const totalDeliveryCharges = activeOrders.reduce((sum, order) => sum + (order.deliveryCharge || 0), 0);
+    const pickupOrders = activeOrders.filter(o => o.deliveryType === 'pickup').length;
+    const deliveryOrders = activeOrders.filter(o => o.deliveryType === 'delivery').length;
+    const cancelledOrders = orders.length - activeOrders.length;
+    const refundedOrders = orders.filter(o => o.refundedAmount > 0).length;
 
     // Group by status
     const statusCounts = {
       Pending: orders.filter(o => o.orderStatus === 'Pending').length,
       Preparing: orders.filter(o => o.orderStatus === 'Preparing').length,
+      'Ready for Pickup': orders.filter(o => o.orderStatus === 'Ready for Pickup').length,
       'Out for Delivery': orders.filter(o => o.orderStatus === 'Out for Delivery').length,
       Delivered: orders.filter(o => o.orderStatus === 'Delivered').length,
+      Cancelled: cancelledOrders,
     };
 
     res.json({
@@ -62,7 +136,11 @@ router.get('/report', protect, admin, async (req, res) => {
       endDate,
       summary: {
         totalSales: parseFloat(totalSales.toFixed(2)),
+        grossSales: parseFloat(grossSales.toFixed(2)),
+        totalRefunds: parseFloat(totalRefunds.toFixed(2)),
         totalOrders,
+        cancelledOrders,
+        refundedOrders,
         totalDeliveryCharges: parseFloat(totalDeliveryCharges.toFixed(2)),
         averageOrderValue: totalOrders > 0 ? parseFloat((totalSales / totalOrders).toFixed(2)) : 0,
         pickupOrders,
@@ -79,95 +157,99 @@ router.get('/report', protect, admin, async (req, res) => {
 
 // @route   GET /api/sales/stats
 // @desc    Get sales statistics
-// @access  Private/Admin
-router.get('/stats', protect, admin, async (req, res) => {
+// @access  Private (sales:read)
+router.get('/stats', protect, requirePermission('sales:read'), async (req, res) => {
   try {
     const now = new Date();
-    
+
     // Today
     const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const todayOrders = await Order.countDocuments({
-      createdAt: { $gte: todayStart },
-      paymentStatus: 'completed',
-    });
-    const todaySales = await Order.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: todayStart },
-          paymentStatus: 'completed',
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$totalAmount' },
-        },
-      },
-    ]);
-    const todayTotal = todaySales.length > 0 ? todaySales[0].total : 0;
 
     // This week
     const weekStart = new Date(now);
     weekStart.setDate(now.getDate() - now.getDay());
     weekStart.setHours(0, 0, 0, 0);
-    const weekOrders = await Order.countDocuments({
-      createdAt: { $gte: weekStart },
-      paymentStatus: 'completed',
-    });
-    const weekSales = await Order.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: weekStart },
-          paymentStatus: 'completed',
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$totalAmount' },
-        },
-      },
-    ]);
-    const weekTotal = weekSales.length > 0 ? weekSales[0].total : 0;
 
     // This month
     const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const monthOrders = await Order.countDocuments({
-      createdAt: { $gte: monthStart },
-      paymentStatus: 'completed',
-    });
-    const monthSales = await Order.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: monthStart },
-          paymentStatus: 'completed',
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$totalAmount' },
-        },
-      },
+
+    const [today, week, month] = await Promise.all([
+      summarizeSales(todayStart),
+      summarizeSales(weekStart),
+      summarizeSales(monthStart),
     ]);
-    const monthTotal = monthSales.length > 0 ? monthSales[0].total : 0;
+
+    res.json({ today, week, month });
+  } catch (error) {
+    console.error('Error fetching sales stats:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/sales/eta-report
+// @desc    Compare promised and actual ready/delivery times (daily, weekly, monthly)
+// @access  Private (sales:read)
+router.get('/eta-report', protect, requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { period = 'daily' } = req.query;
+    const tolerance = req.query.toleranceMinutes !== undefined
+      ? parseFloat(req.query.toleranceMinutes)
+      : DEFAULT_ETA_TOLERANCE_MINUTES;
+    if (isNaN(tolerance) || tolerance < 0) {
+      return res.status(400).json({ message: 'toleranceMinutes must be a positive number' });
+    }
+
+    const { startDate, endDate } = getPeriodRange(period);
+    const orders = await Order.find({
+      createdAt: { $gte: startDate, $lt: endDate },
+      orderStatus: { $ne: 'Cancelled' },
+      'eta.promisedReadyAt': { $ne: null },
+    }).sort({ createdAt: -1 });
+
+    const toMinutes = (ms) => parseFloat((ms / 60000).toFixed(1));
+    const readyDelays = [];
+    const deliveryDelays = [];
+    const rows = orders.map((order) => {
+      const actualReadyAt = getStatusTime(order, ['Ready for Pickup', 'Out for Delivery']);
+      const actualDeliveryAt = order.deliveryType === 'delivery' ? getStatusTime(order, ['Delivered']) : null;
+
+      const readyDelay = actualReadyAt ? toMinutes(actualReadyAt - order.eta.promisedReadyAt) : null;
+      const deliveryDelay = actualDeliveryAt && order.eta.promisedDeliveryAt
+        ? toMinutes(actualDeliveryAt - order.eta.promisedDeliveryAt)
+        : null;
+      if (readyDelay !== null) readyDelays.push(readyDelay);
+      if (deliveryDelay !== null) deliveryDelays.push(deliveryDelay);
+
+      return {
+        orderId: order._id,
+        deliveryType: order.deliveryType,
+        orderStatus: order.orderStatus,
+        createdAt: order.createdAt,
+        scheduledFor: order.scheduledFor,
+        distance: order.distance,
+        kitchenLoad: order.eta.kitchenLoad,
+        promisedReadyAt: order.eta.promisedReadyAt,
+        actualReadyAt,
+        readyDelayMinutes: readyDelay,
+        promisedDeliveryAt: order.eta.promisedDeliveryAt,
+        actualDeliveryAt,
+        deliveryDelayMinutes: deliveryDelay,
+      };
+    });
 
     res.json({
-      today: {
-        orders: todayOrders,
-        sales: parseFloat(todayTotal.toFixed(2)),
-      },
-      week: {
-        orders: weekOrders,
-        sales: parseFloat(weekTotal.toFixed(2)),
-      },
-      month: {
-        orders: monthOrders,
-        sales: parseFloat(monthTotal.toFixed(2)),
+      period,
+      startDate,
+      endDate,
+      toleranceMinutes: tolerance,
+      summary: {
+        ready: summarizeDelays(readyDelays, tolerance),
+        delivery: summarizeDelays(deliveryDelays, tolerance),
       },
+      orders: rows,
     });
   } catch (error) {
-    console.error('Error fetching sales stats:', error);
+    console.error('Error fetching ETA report:', error);
     res.status(500).json({ message: error.message });
   }
 });
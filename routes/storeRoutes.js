@@ -0,0 +1,280 @@
+const express = require('express');
+const StoreSettings = require('../models/StoreSettings');
+const { protect, requirePermission } = require('../middleware/auth');
+const { listSlots } = require('../utils/slotService');
+const { parseTimeOfDay } = require('../utils/storeTime');
+const { getStoreStatus, getCurrentWait } = require('../utils/storeSchedule');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// Whole-number settings admins may change through PUT /api/store/settings
+const NUMERIC_SETTINGS = [
+  'slotIntervalMinutes',
+  'slotMaxOrders',
+  'slotMaxPizzas',
+  'preorderMinLeadMinutes',
+  'preorderMaxDaysAhead',
+  'kitchenReleaseLeadMinutes',
+  'basePrepMinutes',
+  'minutesPerActiveOrder',
+  'baseDeliveryMinutes',
+  'guestDataRetentionDays',
+  'loyaltyPointValueCents',
+  'loyaltyPointsExpiryDays',
+];
+
+// Rates admins may set with decimals, e.g. 2.5 minutes per km or 0.5 points per euro
+const DECIMAL_SETTINGS = [
+  'minutesPerPizza',
+  'minutesPerItem',
+  'deliveryMinutesPerKm',
+  'loyaltyPointsPerEuro',
+];
+
+// On/off settings admins may change through PUT /api/store/settings
+const BOOLEAN_SETTINGS = [
+  'allowUnverifiedOrders',
+  'requireStaffTwoFactor',
+  'loyaltyEnabled',
+];
+
+const DEFAULT_PAUSE_MINUTES = 30;
+
+/**
+ * Tell connected clients that the store status changed
+ * @param {Object} req - Express request
+ * @param {Object} settings - StoreSettings document
+ */
+const emitStoreStatus = (req, settings) => {
+  req.app.get('io').emit('storeStatusUpdate', getStoreStatus(settings));
+};
+
+// @route   GET /api/store/status
+// @desc    Whether the store is open, the next opening time and the current wait
+// @access  Public
+router.get('/status', async (req, res) => {
+  try {
+    const settings = await StoreSettings.getSettings();
+    const status = getStoreStatus(settings);
+    const wait = await getCurrentWait(settings);
+
+    res.json({
+      ...status,
+      currentWait: wait,
+      timezone: settings.timezone,
+      openingHours: settings.openingHours,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/store/slots
+// @desc    List pre-order time slots for a day with remaining capacity
+// @access  Public
+router.get('/slots', async (req, res) => {
+  try {
+    const { date, pizzas } = req.query;
+    const settings = await StoreSettings.getSettings();
+    const result = await listSlots(settings, date, {
+      pizzaCount: parseInt(pizzas) || 0,
+    });
+
+    res.json({
+      ...result,
+      timezone: settings.timezone,
+      slotIntervalMinutes: settings.slotIntervalMinutes,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   GET /api/store/settings
+// @desc    Get store settings
+// @access  Private (store:settings)
+router.get('/settings', protect, requirePermission('store:settings'), async (req, res) => {
+  try {
+    const settings = await StoreSettings.getSettings();
+    res.json(settings);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/store/settings
+// @desc    Update store settings
+// @access  Private (store:settings)
+router.put('/settings', protect, requirePermission('store:settings'), async (req, res) => {
+  try {
+    const settings = await StoreSettings.getSettings();
+    const { timezone, openingHours } = req.body;
+
+    for (const field of NUMERIC_SETTINGS) {
+      if (req.body[field] !== undefined) {
+        const value = parseInt(req.body[field]);
+        if (!Number.isFinite(value)) {
+          return res.status(400).json({ message: `${field} must be a number` });
+        }
+        if (value < 0) {
+          return res.status(400).json({ message: `${field} cannot be negative` });
+        }
+        settings[field] = value;
+      }
+    }
+
+    for (const field of DECIMAL_SETTINGS) {
+      if (req.body[field] !== undefined) {
+        const value = parseFloat(req.body[field]);
+        if (!Number.isFinite(value)) {
+          return res.status(400).json({ message: `${field} must be a number` });
+        }
+        if (value < 0) {
+          return res.status(400).json({ message: `${field} cannot be negative` });
+        }
+        settings[field] = value;
+      }
+    }
+
+    for (const field of BOOLEAN_SETTINGS) {
+      if (req.body[field] !== undefined) {
+        if (typeof req.body[field] !== 'boolean') {
+          return res.status(400).json({ message: `${field} must be true or false` });
+        }
+        settings[field] = req.body[field];
+      }
+    }
+
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        return res.status(400).json({ message: 'Invalid timezone' });
+      }
+      settings.timezone = timezone;
+    }
+
+    if (openingHours !== undefined) {
+      if (!Array.isArray(openingHours)) {
+        return res.status(400).json({ message: 'Opening hours must be a list of shifts' });
+      }
+      for (const shift of openingHours) {
+        const day = parseInt(shift.day);
+        if (isNaN(day) || day < 0 || day > 6) {
+          return res.status(400).json({ message: 'Shift day must be between 0 (Sunday) and 6 (Saturday)' });
+        }
+        if (parseTimeOfDay(shift.open) === null || parseTimeOfDay(shift.close) === null || shift.open === shift.close) {
+          return res.status(400).json({ message: 'Shifts need valid HH:MM open and close times' });
+        }
+      }
+      settings.openingHours = openingHours.map((shift) => ({
+        day: parseInt(shift.day),
+        open: shift.open,
+        close: shift.close,
+      }));
+    }
+
+    await settings.save();
+    emitStoreStatus(req, settings);
+    res.json(settings);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message).join(', ');
+      return res.status(400).json({ message: messages || 'Validation error' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/store/pause
+// @desc    Pause new orders for a while (default 30 minutes)
+// @access  Private (store:pause)
+router.post('/pause', protect, requirePermission('store:pause'), async (req, res) => {
+  try {
+    const minutes = req.body.minutes === undefined ? DEFAULT_PAUSE_MINUTES : parseInt(req.body.minutes);
+    if (isNaN(minutes) || minutes < 1 || minutes > 24 * 60) {
+      return res.status(400).json({ message: 'Minutes must be between 1 and 1440' });
+    }
+
+    const settings = await StoreSettings.getSettings();
+    settings.pausedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    settings.pauseReason = req.body.reason ? String(req.body.reason).trim() : '';
+    await settings.save();
+
+    console.log(`Ordering paused until ${settings.pausedUntil.toISOString()} by ${req.user.email}`);
+    emitStoreStatus(req, settings);
+    res.json(getStoreStatus(settings));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/store/pause
+// @desc    Resume taking orders
+// @access  Private (store:pause)
+router.delete('/pause', protect, requirePermission('store:pause'), async (req, res) => {
+  try {
+    const settings = await StoreSettings.getSettings();
+    settings.pausedUntil = null;
+    settings.pauseReason = '';
+    await settings.save();
+
+    emitStoreStatus(req, settings);
+    res.json(getStoreStatus(settings));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/store/closures
+// @desc    Add a holiday or one-off closure
+// @access  Private (store:settings)
+router.post('/closures', protect, requirePermission('store:settings'), async (req, res) => {
+  try {
+    const { startsAt, endsAt, reason } = req.body;
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    if (end <= start) {
+      return res.status(400).json({ message: 'Closure must end after it starts' });
+    }
+
+    const settings = await StoreSettings.getSettings();
+    settings.closures.push({ startsAt: start, endsAt: end, reason: reason ? String(reason).trim() : '' });
+    // Drop closures that are already over
+    settings.closures = settings.closures.filter((closure) => closure.endsAt > new Date());
+    await settings.save();
+
+    emitStoreStatus(req, settings);
+    res.status(201).json(settings.closures);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/store/closures/:id
+// @desc    Remove a closure
+// @access  Private (store:settings)
+router.delete('/closures/:id', protect, requirePermission('store:settings'), async (req, res) => {
+  try {
+    const settings = await StoreSettings.getSettings();
+    const closure = settings.closures.id(req.params.id);
+    if (!closure) {
+      return res.status(404).json({ message: 'Closure not found' });
+    }
+
+    closure.deleteOne();
+    await settings.save();
+
+    emitStoreStatus(req, settings);
+    res.json(settings.closures);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  OWNER_ONLY_ROLES,
+  getUserRoles,
+  getUserPermissions,
+} = require('../config/permissions');
+const { syncStaffRooms } = require('../utils/socketAuth');
+const { unlockAccount } = require('../utils/loginProtection');
+
+const router = express.Router();
+
+const toStaffView = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  roles: getUserRoles(user),
+  permissions: getUserPermissions(user),
+  lockedUntil: user.loginSecurity && user.loginSecurity.lockedUntil > new Date() ? user.loginSecurity.lockedUntil : null,
+  createdAt: user.createdAt,
+});
+
+// @route   GET /api/users/roles
+// @desc    List roles and the permissions each grants
+// @access  Private (users:manage-roles)
+router.get('/roles', protect, requirePermission('users:manage-roles'), (req, res) => {
+  res.json(ROLES.map((role) => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+});
+
+// @route   GET /api/users
+// @desc    List staff (users with a role besides customer), or find a user with ?email=
+// @access  Private (users:manage-roles)
+router.get('/', protect, requirePermission('users:manage-roles'), async (req, res) => {
+  try {
+    const filter = req.query.email
+      ? { email: String(req.query.email).toLowerCase().trim() }
+      : { 'roles.0': { $exists: true } };
+    if (req.query.role) {
+      filter.roles = String(req.query.role);
+    }
+
+    const users = await User.find(filter).select('-password').sort({ name: 1 });
+    res.json(users.map(toStaffView));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/users/:id/roles
+// @desc    Replace a user's roles (only owners may grant or remove owner and manager)
+// @access  Private (users:manage-roles)
+router.put('/:id/roles', protect, requirePermission('users:manage-roles'), async (req, res) => {
+  try {
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles) || !roles.every((role) => ROLES.includes(role))) {
+      return res.status(400).json({ message: `roles must be a list of: ${ROLES.join(', ')}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Customer is implied, so it is not stored
+    const nextRoles = [...new Set(roles)].filter((role) => role !== 'customer');
+    const changedRoles = ROLES.filter((role) => nextRoles.includes(role) !== user.roles.includes(role));
+
+    if (changedRoles.some((role) => OWNER_ONLY_ROLES.includes(role)) && !req.user.roles.includes('owner')) {
+      return res.status(403).json({ message: `Only owners can change the ${OWNER_ONLY_ROLES.join(' and ')} roles` });
+    }
+    if (user.roles.includes('owner') && !nextRoles.includes('owner')) {
+      const owners = await User.countDocuments({ roles: 'owner' });
+      if (owners <= 1) {
+        return res.status(400).json({ message: 'The shop needs at least one owner' });
+      }
+    }
+
+    user.roles = nextRoles;
+    await user.save();
+
+    await syncStaffRooms(req.app.get('io'), user);
+    res.json(toStaffView(user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/users/:id/unlock
+// @desc    Lift a login lockout and reset the failed login count
+// @access  Private (users:unlock)
+router.put('/:id/unlock', protect, requirePermission('users:unlock'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await unlockAccount(user);
+    console.log(`Account ${user.email} unlocked by ${req.user.email}`);
+    res.json(toStaffView(user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const { checkPasswordStrength } = require('../utils/passwordPolicy');
 
 const createAdmin = async () => {
   try {
@@ -12,40 +14,59 @@ const createAdmin = async () => {
     console.log('Connected to MongoDB');
 
     // Get admin details from command line or use defaults
+    // Without a password a random one is generated that must be changed on first login
     const args = process.argv.slice(2);
     const name = args[0] || 'Admin';
     const email = args[1] || 'admin@pizza.com';
-    const password = args[2] || 'admin123';
+    const generatePassword = !args[2];
+    const password = args[2] || crypto.randomBytes(12).toString('base64url');
+
+    if (!generatePassword) {
+      const weakness = checkPasswordStrength(password, { name, email });
+      if (weakness) {
+        console.error(`Refusing weak password: ${weakness}`);
+        console.error('Usage: npm run create-admin -- "<name>" <email> [password]');
+        process.exit(1);
+      }
+    }
+
+    // Accounts from before roles existed still carry isAdmin / isDriver
+    await User.migrateLegacyRoles();
 
     // Check if admin already exists
     const existingAdmin = await User.findOne({ email });
     if (existingAdmin) {
-      if (existingAdmin.isAdmin) {
+      if (existingAdmin.roles.includes('owner')) {
         console.log('Admin user already exists with this email!');
         process.exit(0);
       } else {
-        // Update existing user to admin
-        existingAdmin.isAdmin = true;
+        // Update existing user to owner
+        existingAdmin.roles = [...existingAdmin.roles, 'owner'];
         await existingAdmin.save();
-        console.log('✅ Existing user promoted to admin!');
+        console.log('✅ Existing user promoted to owner!');
         console.log(`Email: ${email}`);
         process.exit(0);
       }
     }
 
-    // Create new admin user
+    // Create new admin user (owners have every permission)
     const admin = await User.create({
       name,
       email,
       password,
-      isAdmin: true,
+      roles: ['owner'],
+      mustChangePassword: generatePassword,
     });
 
-    console.log('✅ Admin user created successfully!');
+    console.log('✅ Admin user created successfully (role: owner)!');
     console.log(`Name: ${admin.name}`);
     console.log(`Email: ${admin.email}`);
     console.log(`Password: ${password}`);
-    console.log('\nYou can now login with these credentials.');
+    if (generatePassword) {
+      console.log('\nThis password was generated and must be changed on first login.');
+    } else {
+      console.log('\nYou can now login with these credentials.');
+    }
 
     process.exit(0);
   } catch (error) {
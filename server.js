@@ -5,6 +5,20 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
+const User = require('./models/User');
+const { startKitchenScheduler } = require('./utils/kitchenDispatch');
+const { startRetentionScheduler } = require('./utils/personalData');
+const { startLoyaltyScheduler } = require('./utils/loyalty');
+const {
+  authenticateSocket,
+  joinDefaultRooms,
+  authorizeOrderRoom,
+  authorizeUserRoom,
+  socketHasPermission,
+} = require('./utils/socketAuth');
+const { relayDriverLocation } = require('./utils/driverTracking');
+const { registerKitchenNamespace } = require('./utils/kitchenDisplay');
+const { assertPaymentConfig } = require('./utils/paymentService');
 
 let connectDB;
 try {
@@ -17,6 +31,14 @@ try {
   process.exit(1);
 }
 
+// Refuse to start without a usable payment provider
+try {
+  console.log(`✓ Payment provider: ${assertPaymentConfig()}`);
+} catch (error) {
+  console.error('✗ Payment configuration error:', error.message);
+  process.exit(1);
+}
+
 // Connect to database
 try {
   connectDB();
@@ -29,6 +51,11 @@ try {
 const app = express();
 const server = http.createServer(app);
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 hop) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // CORS configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -70,8 +97,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed']
 };
 
 app.use(cors(corsOptions));
@@ -81,7 +108,12 @@ const io = socketIo(server, {
 });
 
 app.set('io', io);
-app.use(express.json());
+// Keep the raw body for signed payment webhooks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // ❌ REMOVED LOCAL UPLOADS → Cloudinary handles everything now.
@@ -110,7 +142,14 @@ app.get('/', (req, res) => {
       reviews: '/api/reviews',
       offers: '/api/offers',
       delivery: '/api/delivery',
-      sales: '/api/sales'
+      sales: '/api/sales',
+      store: '/api/store',
+      drivers: '/api/drivers',
+      kitchen: '/api/kitchen',
+      payments: '/api/payments',
+      users: '/api/users',
+      addresses: '/api/addresses',
+      loyalty: '/api/loyalty'
     }
   });
 });
@@ -126,7 +165,14 @@ app.get('/api', (req, res) => {
       reviews: '/api/reviews',
       offers: '/api/offers',
       delivery: '/api/delivery',
-      sales: '/api/sales'
+      sales: '/api/sales',
+      store: '/api/store',
+      drivers: '/api/drivers',
+      kitchen: '/api/kitchen',
+      payments: '/api/payments',
+      users: '/api/users',
+      addresses: '/api/addresses',
+      loyalty: '/api/loyalty'
     }
   });
 });
@@ -181,25 +227,112 @@ try {
   console.error('✗ Failed to load sales routes:', err);
 }
 
+try {
+  app.use('/api/store', require('./routes/storeRoutes'));
+  console.log('✓ Store routes loaded');
+} catch (err) {
+  console.error('✗ Failed to load store routes:', err);
+}
+
+try {
+  app.use('/api/drivers', require('./routes/driverRoutes'));
+  console.log('✓ Driver routes loaded');
+} catch (err) {
+  console.error('✗ Failed to load driver routes:', err);
+}
+
+try {
+  app.use('/api/kitchen', require('./routes/kitchenRoutes'));
+  console.log('✓ Kitchen routes loaded');
+} catch (err) {
+  console.error('✗ Failed to load kitchen routes:', err);
+}
+
+try {
+  app.use('/api/payments', require('./routes/paymentRoutes'));
+  console.log('✓ Payment routes loaded');
+} catch (err) {
+  console.error('✗ Failed to load payment routes:', err);
+}
+
+try {
+  app.use('/api/users', require('./routes/userRoutes'));
+  console.log('✓ User routes loaded');
+} catch (err) {
+  console.error('✗ Failed to load user routes:', err);
+}
+
+try {
+  app.use('/api/addresses', require('./routes/addressRoutes'));
+  console.log('✓ Address routes loaded');
+} catch (err) {
+  console.error('✗ Failed to load address routes:', err);
+}
+
+try {
+  app.use('/api/loyalty', require('./routes/loyaltyRoutes'));
+  console.log('✓ Loyalty routes loaded');
+} catch (err) {
+  console.error('✗ Failed to load loyalty routes:', err);
+}
+
+// Verify the JWT sent with the handshake; sockets without one connect as guests
+io.use(authenticateSocket);
+
+// Staff-only kitchen display stream
+registerKitchenNamespace(io);
+
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
-
-  socket.on('joinOrderRoom', (orderId) => {
-    socket.join(`order:${orderId}`);
+  joinDefaultRooms(socket);
+
+  // Owners, assigned drivers and admins join by order ID; guests need the tracking token
+  socket.on('joinOrderRoom', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const orderId = await authorizeOrderRoom(socket, payload);
+      socket.join(`order:${orderId}`);
+      respond({ ok: true, orderId });
+    } catch (error) {
+      respond({ ok: false, message: error.message });
+    }
   });
 
-  socket.on('leaveOrderRoom', (orderId) => {
+  socket.on('leaveOrderRoom', (payload) => {
+    const orderId = typeof payload === 'object' && payload !== null ? payload.orderId : payload;
     socket.leave(`order:${orderId}`);
   });
 
-  socket.on('joinUserRoom', (userId) => {
-    socket.join(`user:${userId}`);
+  socket.on('joinUserRoom', (userId, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      socket.join(`user:${authorizeUserRoom(socket, userId)}`);
+      respond({ ok: true });
+    } catch (error) {
+      respond({ ok: false, message: error.message });
+    }
   });
 
   socket.on('leaveUserRoom', (userId) => {
     socket.leave(`user:${userId}`);
   });
 
+  // Drivers push their GPS position while delivering
+  socket.on('driverLocation', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const user = socket.data.user;
+    if (!socketHasPermission(socket, 'deliveries:handle')) {
+      return respond({ ok: false, message: 'Not authorized as driver' });
+    }
+
+    try {
+      const orders = await relayDriverLocation(io, user, payload);
+      respond({ ok: true, orders });
+    } catch (error) {
+      respond({ ok: false, message: error.message });
+    }
+  });
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
@@ -229,6 +362,24 @@ server.listen(PORT, HOST, () => {
   console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`✓ CORS enabled for: localhost, .vercel.app, and FRONTEND_URL`);
   console.log('='.repeat(50));
+
+  // Turn the old isAdmin / isDriver flags into roles
+  User.migrateLegacyRoles()
+    .then(({ owners, drivers }) => {
+      if (owners || drivers) {
+        console.log(`✓ Migrated ${owners} admin(s) to owner and ${drivers} driver(s) to roles`);
+      }
+    })
+    .catch((err) => console.error('✗ Role migration failed:', err));
+
+  // Release scheduled pre-orders to the kitchen when they are due
+  startKitchenScheduler(io);
+
+  // Anonymize old guest orders (guestDataRetentionDays)
+  startRetentionScheduler();
+
+  // Expire unused loyalty points (loyaltyPointsExpiryDays)
+  startLoyaltyScheduler();
 });
 
 // Handle server errors
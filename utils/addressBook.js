@@ -0,0 +1,165 @@
+// Address Book
+// Saved delivery addresses on the customer profile. Each address is entered
+// structured (street, house number, postcode, city), geocoded when saved and
+// carries notes for the driver (floor, doorbell). One address is the default.
+// Orders copy the chosen address, so later edits don't change past orders.
+
+const mongoose = require('mongoose');
+const { createHttpError } = require('./httpError');
+const { geocodeAddress } = require('./geocoder');
+
+const MAX_ADDRESSES = 10;
+
+const LOCATION_FIELDS = ['street', 'houseNumber', 'postcode', 'city'];
+const TEXT_FIELDS = ['label', 'floor', 'doorbell', 'notes'];
+
+/**
+ * One-line form of a saved address, e.g. "Bahnhofstr. 119, 47137 Duisburg"
+ * @param {Object} address - Saved address
+ */
+const formatAddress = (address) => {
+  const streetLine = [address.street, address.houseNumber].filter(Boolean).join(' ');
+  const cityLine = [address.postcode, address.city].filter(Boolean).join(' ');
+  return [streetLine, cityLine].filter(Boolean).join(', ');
+};
+
+/**
+ * Find one of the user's saved addresses
+ * @param {Object} user - User document
+ * @param {String} addressId
+ */
+const findAddress = (user, addressId) => {
+  const address = mongoose.Types.ObjectId.isValid(addressId) ? user.addresses.id(addressId) : null;
+  if (!address) {
+    throw createHttpError(404, 'Address not found');
+  }
+  return address;
+};
+
+/**
+ * Apply submitted fields to an address (new or existing); geocodes again when
+ * the location fields changed
+ * @param {Object} address - Saved address (subdocument) or a plain object for new ones
+ * @param {Object} body - Request body
+ */
+const applyAddressInput = async (address, body) => {
+  const fields = {};
+  [...TEXT_FIELDS, ...LOCATION_FIELDS].forEach((field) => {
+    fields[field] = body[field] !== undefined ? String(body[field]).trim() : (address[field] || '');
+  });
+  if (!fields.label) {
+    throw createHttpError(400, 'Please provide a label, e.g. Home or Work');
+  }
+
+  const geocoded = address.location && address.location.lat !== undefined;
+  const locationChanged = LOCATION_FIELDS.some((field) => fields[field] !== (address[field] || ''));
+  let location = null;
+  if (locationChanged || !geocoded) {
+    // Unknown or ambiguous addresses are rejected so the customer can correct them
+    const structured = {};
+    LOCATION_FIELDS.forEach((field) => {
+      structured[field] = fields[field];
+    });
+    location = await geocodeAddress(structured);
+  }
+
+  Object.assign(address, fields);
+  if (location) {
+    address.postcode = address.postcode || location.postcode;
+    address.location = { lat: location.lat, lng: location.lng };
+    address.formattedAddress = location.formattedAddress;
+  }
+};
+
+/**
+ * Make one address the default and clear the flag on the others
+ * @param {Object} user - User document
+ * @param {String} addressId
+ */
+const setDefaultAddress = (user, addressId) => {
+  user.addresses.forEach((address) => {
+    address.isDefault = address._id.toString() === addressId.toString();
+  });
+};
+
+/**
+ * Add an address (the first one becomes the default)
+ * @param {Object} user - User document
+ * @param {Object} body - { label, street, houseNumber, postcode, city, floor, doorbell, notes, isDefault }
+ * @returns {Promise<Object>} The new address
+ */
+const addAddress = async (user, body) => {
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    throw createHttpError(400, `You can save up to ${MAX_ADDRESSES} addresses`);
+  }
+
+  const input = {};
+  await applyAddressInput(input, body);
+  user.addresses.push(input);
+  const address = user.addresses[user.addresses.length - 1];
+  if (body.isDefault === true || user.addresses.length === 1) {
+    setDefaultAddress(user, address._id);
+  }
+  await user.save();
+  return address;
+};
+
+/**
+ * Change a saved address
+ * @param {Object} user - User document
+ * @param {String} addressId
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object>} The updated address
+ */
+const updateAddress = async (user, addressId, body) => {
+  const address = findAddress(user, addressId);
+  await applyAddressInput(address, body);
+  if (body.isDefault === true) {
+    setDefaultAddress(user, address._id);
+  }
+  await user.save();
+  return address;
+};
+
+/**
+ * Delete a saved address; the default moves to the oldest remaining one
+ * @param {Object} user - User document
+ * @param {String} addressId
+ */
+const removeAddress = async (user, addressId) => {
+  const address = findAddress(user, addressId);
+  const wasDefault = address.isDefault;
+  user.addresses.pull(address._id);
+  if (wasDefault && user.addresses.length > 0) {
+    setDefaultAddress(user, user.addresses[0]._id);
+  }
+  await user.save();
+};
+
+/**
+ * Copy of a saved address for an order
+ * @param {Object} address - Saved address
+ */
+const toAddressSnapshot = (address) => ({
+  addressId: address._id,
+  label: address.label,
+  street: address.street,
+  houseNumber: address.houseNumber,
+  postcode: address.postcode,
+  city: address.city,
+  floor: address.floor,
+  doorbell: address.doorbell,
+  notes: address.notes,
+  formattedAddress: address.formattedAddress,
+});
+
+module.exports = {
+  MAX_ADDRESSES,
+  formatAddress,
+  findAddress,
+  setDefaultAddress,
+  addAddress,
+  updateAddress,
+  removeAddress,
+  toAddressSnapshot,
+};
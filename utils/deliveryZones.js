@@ -0,0 +1,182 @@
+// Delivery Zones
+// Matches a customer address to an admin-defined delivery zone (polygon or
+// postcode list) and prices the delivery from that zone.
+
+const DeliveryZone = require('../models/DeliveryZone');
+const { createHttpError } = require('./httpError');
+const { roundCurrency } = require('./orderPricing');
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {{ lat: Number, lng: Number }} point
+ * @param {Array<{ lat: Number, lng: Number }>} polygon
+ */
+const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.lat > point.lat) !== (b.lat > point.lat)
+      && point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Pull a German postcode (5 digits) out of a free-text address
+ * @param {String} address
+ * @returns {String|null}
+ */
+const extractPostcode = (address) => {
+  const match = /\b(\d{5})\b/.exec(String(address || ''));
+  return match ? match[1] : null;
+};
+
+/**
+ * Find the first active zone (by priority) that covers a location or postcode
+ * @param {Object} options
+ * @param {{ lat: Number, lng: Number }} [options.location] - Geocoded address
+ * @param {String} [options.postcode] - Postcode of the address
+ * @returns {Promise<{ zone: Object, matchedBy: String, reason: String }|null>}
+ */
+const findDeliveryZone = async ({ location, postcode }) => {
+  const zones = await DeliveryZone.find({ isActive: true }).sort({ priority: 1, createdAt: 1 });
+
+  for (const zone of zones) {
+    if (zone.type === 'postcodes' && postcode && zone.postcodes.includes(postcode)) {
+      return {
+        zone,
+        matchedBy: 'postcode',
+        reason: `Postcode ${postcode} is served by zone "${zone.name}"`,
+      };
+    }
+    if (zone.type === 'polygon' && location && zone.polygon.length >= 3 && isPointInPolygon(location, zone.polygon)) {
+      return {
+        zone,
+        matchedBy: 'polygon',
+        reason: `Address lies inside zone "${zone.name}"`,
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Price a delivery for an address
+ * @param {Object} options
+ * @param {{ lat: Number, lng: Number }} [options.location] - Geocoded address
+ * @param {String} [options.postcode] - Postcode of the address
+ * @param {Number} [options.orderValue] - Order value after discounts (for minimum/free delivery)
+ */
+const quoteDelivery = async ({ location, postcode, orderValue }) => {
+  const match = await findDeliveryZone({ location, postcode });
+  if (!match) {
+    throw createHttpError(400, 'Sorry, we do not deliver to this address', {
+      code: 'OUTSIDE_DELIVERY_AREA',
+      reason: postcode
+        ? `Neither postcode ${postcode} nor the address location is inside any delivery zone`
+        : 'The address location is not inside any delivery zone',
+    });
+  }
+
+  const { zone, matchedBy, reason } = match;
+  const hasOrderValue = typeof orderValue === 'number' && !isNaN(orderValue);
+  const freeDelivery = hasOrderValue && zone.freeDeliveryThreshold > 0 && orderValue >= zone.freeDeliveryThreshold;
+
+  return {
+    zone: {
+      _id: zone._id,
+      name: zone.name,
+      estimatedMinutes: zone.estimatedMinutes,
+    },
+    matchedBy,
+    reason: freeDelivery ? `${reason}; free delivery from €${zone.freeDeliveryThreshold.toFixed(2)}` : reason,
+    deliveryCharge: freeDelivery ? 0 : roundCurrency(zone.fee),
+    minOrderAmount: zone.minOrderAmount,
+    freeDeliveryThreshold: zone.freeDeliveryThreshold,
+    meetsMinimumOrder: hasOrderValue ? orderValue >= zone.minOrderAmount : null,
+  };
+};
+
+/**
+ * Reject orders below the zone's minimum order value
+ * @param {Object} quote - Result of quoteDelivery
+ * @param {Number} orderValue - Order value after discounts
+ */
+const assertMinimumOrder = (quote, orderValue) => {
+  if (orderValue < quote.minOrderAmount) {
+    throw createHttpError(400, `The minimum order for delivery to ${quote.zone.name} is €${quote.minOrderAmount.toFixed(2)}`, {
+      code: 'BELOW_MINIMUM_ORDER',
+      minOrderAmount: quote.minOrderAmount,
+      zone: quote.zone,
+    });
+  }
+};
+
+/**
+ * Validate zone fields from an admin request
+ * @param {Object} body - Request body (for updates: the existing zone merged with the changes)
+ * @returns {Object} Fields ready to store
+ */
+const parseZoneInput = (body) => {
+  const zone = {};
+
+  if (!body.name || !String(body.name).trim()) {
+    throw createHttpError(400, 'Zone name is required');
+  }
+  zone.name = String(body.name).trim();
+
+  if (!['polygon', 'postcodes'].includes(body.type)) {
+    throw createHttpError(400, 'Zone type must be "polygon" or "postcodes"');
+  }
+  zone.type = body.type;
+
+  if (body.polygon !== undefined) {
+    if (!Array.isArray(body.polygon) || body.polygon.some((p) => !p || isNaN(parseFloat(p.lat)) || isNaN(parseFloat(p.lng)))) {
+      throw createHttpError(400, 'Polygon must be a list of { lat, lng } points');
+    }
+    zone.polygon = body.polygon.map((p) => ({ lat: parseFloat(p.lat), lng: parseFloat(p.lng) }));
+  }
+
+  if (body.postcodes !== undefined) {
+    const postcodes = Array.isArray(body.postcodes) ? body.postcodes : String(body.postcodes).split(',');
+    zone.postcodes = postcodes.map((code) => String(code).trim()).filter(Boolean);
+  }
+
+  if (zone.type === 'polygon' && (!zone.polygon || zone.polygon.length < 3)) {
+    throw createHttpError(400, 'A polygon zone needs at least 3 points');
+  }
+  if (zone.type === 'postcodes' && (!zone.postcodes || zone.postcodes.length === 0)) {
+    throw createHttpError(400, 'A postcode zone needs at least one postcode');
+  }
+
+  ['fee', 'minOrderAmount', 'freeDeliveryThreshold', 'estimatedMinutes', 'priority'].forEach((field) => {
+    if (body[field] === undefined || body[field] === '') {
+      if (field === 'fee') {
+        throw createHttpError(400, 'Zone fee is required');
+      }
+      return;
+    }
+    const value = parseFloat(body[field]);
+    if (isNaN(value) || (field !== 'priority' && value < 0)) {
+      throw createHttpError(400, `${field} must be a positive number`);
+    }
+    zone[field] = value;
+  });
+
+  if (body.isActive !== undefined) {
+    zone.isActive = body.isActive === true || body.isActive === 'true';
+  }
+
+  return zone;
+};
+
+module.exports = {
+  isPointInPolygon,
+  extractPostcode,
+  findDeliveryZone,
+  quoteDelivery,
+  assertMinimumOrder,
+  parseZoneInput,
+};
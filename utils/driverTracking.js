@@ -0,0 +1,55 @@
+// Driver Tracking
+// Relays GPS positions pushed by drivers to the tracking rooms of the orders
+// they are currently delivering.
+
+const Order = require('../models/Order');
+const { createHttpError } = require('./httpError');
+
+/**
+ * Validate a position sent by a driver app
+ * @param {Object} payload - { lat, lng, heading? }
+ */
+const parseDriverLocation = (payload) => {
+  const lat = parseFloat(payload && payload.lat);
+  const lng = parseFloat(payload && payload.lng);
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    throw createHttpError(400, 'Location needs valid lat and lng');
+  }
+
+  const heading = parseFloat(payload.heading);
+  return {
+    lat,
+    lng,
+    heading: isNaN(heading) ? undefined : heading,
+    updatedAt: new Date(),
+  };
+};
+
+/**
+ * Store a driver's position and send it to every order they have out for delivery
+ * @param {Object} io - Socket.io instance
+ * @param {Object} driver - User document of the driver
+ * @param {Object} payload - { lat, lng, heading? }
+ * @returns {Promise<Number>} Number of orders that received the position
+ */
+const relayDriverLocation = async (io, driver, payload) => {
+  const location = parseDriverLocation(payload);
+
+  // Positions are only shared while the order is actually en route
+  const orders = await Order.find({ driver: driver._id, orderStatus: 'Out for Delivery' }).select('_id');
+  if (orders.length === 0) return 0;
+
+  const orderIds = orders.map((order) => order._id);
+  await Order.updateMany({ _id: { $in: orderIds } }, { driverLocation: location });
+
+  orderIds.forEach((orderId) => {
+    const orderIdString = orderId.toString();
+    io.to(`order:${orderIdString}`).emit('driverLocation', { orderId: orderIdString, ...location });
+  });
+  return orderIds.length;
+};
+
+module.exports = {
+  parseDriverLocation,
+  relayDriverLocation,
+};
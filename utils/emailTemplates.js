@@ -0,0 +1,158 @@
+// Email Templates
+// Each template takes its data and returns { subject, html, text }; send them
+// with sendTemplate(name, to, data) from mailer.js. All HTML emails share the
+// shop layout below. Escape anything that comes from users.
+
+/**
+ * Escape user-provided text for HTML emails
+ * @param {String} value
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const paragraph = (html) => `<p style="color: #374151; font-size: 16px;">${html}</p>`;
+
+const note = (html) => `<p style="color: #6b7280; font-size: 14px;">${html}</p>`;
+
+/**
+ * Wrap email content in the shop layout
+ * @param {Object} content
+ * @param {String} content.title - Heading
+ * @param {String} content.body - HTML for the main part
+ * @param {Object} [content.button] - { label, url }
+ */
+const renderLayout = ({ title, body, button }) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <div style="background: linear-gradient(to right, #16a34a, #15803d); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+      <h1 style="margin: 0; font-size: 28px;">🍕 American Pizza</h1>
+    </div>
+    <div style="background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px;">
+      <h2 style="color: #16a34a; margin-top: 0;">${title}</h2>
+      ${body}
+      ${button ? `
+      <div style="text-align: center; margin-top: 30px;">
+        <a href="${escapeHtml(button.url)}"
+           style="background: #16a34a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+          ${button.label}
+        </a>
+      </div>` : ''}
+      <p style="color: #6b7280; font-size: 14px; margin-top: 30px; text-align: center;">
+        Thank you for choosing American Pizza!<br>
+        Contact: 015213759078 | kenkeswary11@icloud.com
+      </p>
+    </div>
+  </div>
+`;
+
+/**
+ * @param {Object} data - { order, trackingUrl }
+ */
+const pickupReady = ({ order, trackingUrl }) => {
+  const orderNumber = order._id.toString().slice(-8);
+  return {
+    subject: '🍕 Your Order is Ready for Pickup!',
+    html: renderLayout({
+      title: 'Your Order is Ready for Pickup!',
+      body: `
+      ${paragraph(`Hello ${escapeHtml(order.customerName)},`)}
+      ${paragraph(`Great news! Your order <strong>#${orderNumber}</strong> is ready for pickup.`)}
+
+      <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #16a34a;">
+        <h3 style="margin-top: 0; color: #111827;">Order Details</h3>
+        <p style="margin: 5px 0;"><strong>Order ID:</strong> ${orderNumber}</p>
+        <p style="margin: 5px 0;"><strong>Total:</strong> $${order.totalAmount.toFixed(2)}</p>
+        <p style="margin: 5px 0;"><strong>Items:</strong> ${order.items.length} item(s)</p>
+      </div>
+
+      <div style="background: #d1fae5; padding: 15px; border-radius: 8px; margin: 20px 0; text-align: center;">
+        <p style="margin: 0; color: #065f46; font-weight: bold; font-size: 18px;">
+          📍 Pickup Location:<br>
+          Bahnhof str.119, 47137 Duisburg
+        </p>
+      </div>
+
+      ${paragraph('Please come to our restaurant to collect your order. We look forward to serving you!')}`,
+      button: { label: 'Track Your Order', url: trackingUrl },
+    }),
+    text: `Your order #${orderNumber} is ready for pickup at Bahnhof str.119, 47137 Duisburg. Track it: ${trackingUrl}`,
+  };
+};
+
+/**
+ * @param {Object} data - { name, email, url, validFor }
+ */
+const verifyEmail = ({ name, email, url, validFor }) => ({
+  subject: '🍕 Please confirm your email address',
+  html: renderLayout({
+    title: 'Confirm your email address',
+    body: `
+      ${paragraph(`Hello ${escapeHtml(name)},`)}
+      ${paragraph(`Please confirm that <strong>${escapeHtml(email)}</strong> is your email address. The link is valid for ${validFor}.`)}
+      ${note('If you did not ask for this, you can ignore this email.')}`,
+    button: { label: 'Confirm Email', url },
+  }),
+  text: `Confirm your email address for American Pizza (valid for ${validFor}): ${url}`,
+});
+
+/**
+ * @param {Object} data - { name, count, url, validFor }
+ */
+const claimOrders = ({ name, count, url, validFor }) => ({
+  subject: '🍕 Add your guest orders to your account',
+  html: renderLayout({
+    title: 'Add your guest orders to your account',
+    body: `
+      ${paragraph(`Hello ${escapeHtml(name)},`)}
+      ${paragraph(`We found ${count} order(s) placed as a guest with this email address. Open the link while logged in to add them to your account. The link is valid for ${validFor}.`)}
+      ${note('If you did not ask for this, you can ignore this email.')}`,
+    button: { label: 'Add Orders', url },
+  }),
+  text: `Add ${count} guest order(s) to your American Pizza account (valid for ${validFor}): ${url}`,
+});
+
+/**
+ * @param {Object} data - { name, url, validFor }
+ */
+const passwordReset = ({ name, url, validFor }) => ({
+  subject: '🍕 Reset your password',
+  html: renderLayout({
+    title: 'Reset your password',
+    body: `
+      ${paragraph(`Hello ${escapeHtml(name)},`)}
+      ${paragraph(`Someone asked to reset the password of your American Pizza account. The link is valid for ${validFor} and can be used once.`)}
+      ${note('If this was not you, ignore this email. Your password stays unchanged.')}`,
+    button: { label: 'Choose a New Password', url },
+  }),
+  text: `Reset your American Pizza password (valid for ${validFor}): ${url}\nIf this was not you, ignore this email.`,
+});
+
+/**
+ * @param {Object} data - { user, lockedUntil, ip, url }
+ */
+const staffLockout = ({ user, lockedUntil, ip, url }) => ({
+  subject: `⚠️ Staff account locked: ${user.email}`,
+  html: renderLayout({
+    title: 'Staff account locked',
+    body: `
+      ${paragraph(`The account of <strong>${escapeHtml(user.name)}</strong> (${escapeHtml(user.email)}) was locked after repeated failed logins.`)}
+      ${paragraph(`Locked until: ${lockedUntil.toISOString()}<br>Last attempt from: ${escapeHtml(ip || 'unknown')}`)}
+      ${note('If this was not them, someone is guessing the password. You can unlock the account early from the staff page.')}`,
+    button: { label: 'Open Staff Page', url },
+  }),
+  text: `The staff account ${user.email} was locked until ${lockedUntil.toISOString()} after repeated failed logins (last attempt from ${ip || 'unknown'}).`,
+});
+
+module.exports = {
+  escapeHtml,
+  renderLayout,
+  templates: {
+    pickupReady,
+    verifyEmail,
+    claimOrders,
+    passwordReset,
+    staffLockout,
+  },
+};
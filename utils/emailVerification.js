@@ -0,0 +1,130 @@
+// Email Verification
+// New accounts and email changes get a signed link (a JWT naming the user and
+// the address). A changed address waits in pendingEmail and only replaces the
+// current one once the link is opened, so the old address stays active until
+// then. Resends are throttled per user.
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { createHttpError } = require('./httpError');
+const { getFrontendUrl, sendTemplate } = require('./mailer');
+
+const VERIFY_PURPOSE = 'verify-email';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum time between two links, and links per user per day
+const RESEND_INTERVAL_SECONDS = 60;
+const MAX_SENDS_PER_DAY = 5;
+
+const getTokenTtl = () => process.env.EMAIL_VERIFICATION_TTL || '24h';
+
+/**
+ * The address a verification link would be sent to, or null when nothing is unverified
+ * @param {Object} user - User document
+ */
+const getAddressToVerify = (user) => {
+  if (user.pendingEmail) return user.pendingEmail;
+  return user.emailVerified ? null : user.email;
+};
+
+/**
+ * Refuse a send that comes too soon or exceeds the daily limit, then count it
+ * @param {Object} user - User document (saved by the caller)
+ * @param {Date} now
+ */
+const throttleSend = (user, now) => {
+  const state = user.emailVerification || {};
+  const lastSentAt = state.lastSentAt;
+  if (lastSentAt && now - lastSentAt < RESEND_INTERVAL_SECONDS * 1000) {
+    const retryAfter = Math.ceil((RESEND_INTERVAL_SECONDS * 1000 - (now - lastSentAt)) / 1000);
+    throw createHttpError(429, 'Please wait before requesting another verification email', { retryAfter });
+  }
+
+  const windowOpen = state.windowStartedAt && now - state.windowStartedAt < DAY_MS;
+  const sendCount = windowOpen ? state.sendCount : 0;
+  if (sendCount >= MAX_SENDS_PER_DAY) {
+    const retryAfter = Math.ceil((DAY_MS - (now - state.windowStartedAt)) / 1000);
+    throw createHttpError(429, 'Too many verification emails today, please try again later', { retryAfter });
+  }
+
+  user.emailVerification = {
+    lastSentAt: now,
+    windowStartedAt: windowOpen ? state.windowStartedAt : now,
+    sendCount: sendCount + 1,
+  };
+};
+
+/**
+ * Email a verification link for the user's unverified (or pending) address
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { sentTo, delivered }
+ */
+const sendVerificationEmail = async (user) => {
+  const email = getAddressToVerify(user);
+  if (!email) {
+    throw createHttpError(400, 'Email is already verified');
+  }
+
+  throttleSend(user, new Date());
+  await user.save();
+
+  const token = jwt.sign(
+    { id: user._id.toString(), email, purpose: VERIFY_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: getTokenTtl() }
+  );
+
+  const delivered = await sendTemplate('verifyEmail', email, {
+    name: user.name,
+    email,
+    url: `${getFrontendUrl()}/verify-email/${token}`,
+    validFor: getTokenTtl(),
+  });
+  return { sentTo: email, delivered };
+};
+
+/**
+ * Apply a verification link: confirm the current address or switch to the pending one
+ * @param {String} token - Token from the link
+ * @returns {Promise<Object>} The updated user
+ */
+const verifyEmailToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createHttpError(400, 'Invalid or expired verification link');
+  }
+  if (decoded.purpose !== VERIFY_PURPOSE) {
+    throw createHttpError(400, 'Invalid or expired verification link');
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    throw createHttpError(400, 'Invalid or expired verification link');
+  }
+
+  if (user.pendingEmail && decoded.email === user.pendingEmail) {
+    // The address may have been taken while the link was waiting
+    const taken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+    if (taken) {
+      throw createHttpError(400, 'Email already in use');
+    }
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  } else if (decoded.email !== user.email) {
+    // Links for an address that was replaced or abandoned
+    throw createHttpError(400, 'This verification link is no longer valid');
+  }
+
+  user.emailVerified = true;
+  await user.save();
+  return user;
+};
+
+module.exports = {
+  getAddressToVerify,
+  sendVerificationEmail,
+  verifyEmailToken,
+};
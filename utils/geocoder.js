@@ -0,0 +1,181 @@
+// Geocoder
+// Resolves customer addresses to coordinates through a configurable provider
+// (GEOCODER_PROVIDER: nominatim, google, openrouteservice or local) with a
+// MongoDB-backed cache. Unknown or ambiguous addresses are reported to the
+// customer instead of being guessed.
+
+const GeocodeCache = require('../models/GeocodeCache');
+const { createHttpError } = require('./httpError');
+const { calculateDistance } = require('./distanceCalculator');
+const { extractPostcode } = require('./deliveryZones');
+const { normalizeAddressKey } = require('./geocoders/normalize');
+
+const PROVIDERS = {
+  nominatim: require('./geocoders/nominatim'),
+  google: require('./geocoders/google'),
+  openrouteservice: require('./geocoders/openRouteService'),
+  local: require('./geocoders/local'),
+};
+
+const DEFAULT_CACHE_DAYS = 30;
+
+// Candidates further apart than this are treated as different places
+const AMBIGUITY_RADIUS_KM = 1;
+
+/**
+ * The configured geocoding provider
+ */
+const getProvider = () => {
+  const name = (process.env.GEOCODER_PROVIDER || 'nominatim').toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw createHttpError(500, `Unknown geocoding provider "${name}"`);
+  }
+  return provider;
+};
+
+/**
+ * Accept a free-text address or a structured one ({ street, houseNumber, postcode, city })
+ * @param {String|Object} address
+ * @returns {{ text: String, structured: Object|null, postcode: String|null }}
+ */
+const normalizeAddressInput = (address) => {
+  if (address && typeof address === 'object') {
+    const structured = {
+      street: String(address.street || '').trim(),
+      houseNumber: String(address.houseNumber || '').trim(),
+      postcode: String(address.postcode || '').trim(),
+      city: String(address.city || '').trim(),
+    };
+    if (!structured.street || (!structured.postcode && !structured.city)) {
+      throw createHttpError(400, 'Please provide street and postcode or city', { code: 'ADDRESS_INCOMPLETE' });
+    }
+    if (structured.postcode && !/^\d{5}$/.test(structured.postcode)) {
+      throw createHttpError(400, 'Postcode must have 5 digits', { code: 'ADDRESS_INCOMPLETE' });
+    }
+
+    const streetLine = [structured.street, structured.houseNumber].filter(Boolean).join(' ');
+    const cityLine = [structured.postcode, structured.city].filter(Boolean).join(' ');
+    return {
+      text: `${streetLine}, ${cityLine}`,
+      structured,
+      postcode: structured.postcode || null,
+    };
+  }
+
+  const text = String(address || '').trim();
+  if (!text) {
+    throw createHttpError(400, 'Address is required', { code: 'ADDRESS_INCOMPLETE' });
+  }
+  return {
+    text,
+    structured: null,
+    postcode: extractPostcode(text),
+  };
+};
+
+/**
+ * Pick a single result, or explain why we can't
+ * @param {Array} candidates - Provider results, best first
+ * @param {String|null} postcode - Postcode entered by the customer
+ */
+const pickCandidate = (candidates, postcode) => {
+  let matches = candidates;
+  if (postcode) {
+    const samePostcode = candidates.filter((candidate) => !candidate.postcode || candidate.postcode === postcode);
+    matches = samePostcode;
+  }
+
+  if (matches.length === 0) {
+    throw createHttpError(422, 'We could not find this address. Please check street, house number and postcode.', {
+      code: 'ADDRESS_NOT_FOUND',
+    });
+  }
+
+  const [best] = matches;
+  const farApart = matches.filter((candidate) => {
+    return calculateDistance(best.lat, best.lng, candidate.lat, candidate.lng) > AMBIGUITY_RADIUS_KM;
+  });
+  if (farApart.length > 0) {
+    throw createHttpError(422, 'This address matches several places. Please add the postcode or house number.', {
+      code: 'ADDRESS_AMBIGUOUS',
+      candidates: matches.slice(0, 5).map((candidate) => candidate.formattedAddress),
+    });
+  }
+
+  return best;
+};
+
+/**
+ * Geocode an address to coordinates
+ * @param {String|Object} address - Free text or { street, houseNumber, postcode, city }
+ * @returns {Promise<{ lat: Number, lng: Number, postcode: String, formattedAddress: String, text: String }>}
+ */
+const geocodeAddress = async (address) => {
+  const input = normalizeAddressInput(address);
+  const provider = getProvider();
+  const key = `${provider.name}:${normalizeAddressKey(input.text)}`;
+
+  const cached = await GeocodeCache.findOneAndUpdate({ key }, { $inc: { hits: 1 } }, { new: true });
+  if (cached) {
+    return {
+      lat: cached.lat,
+      lng: cached.lng,
+      postcode: cached.postcode || input.postcode || '',
+      formattedAddress: cached.formattedAddress,
+      text: input.text,
+    };
+  }
+
+  const candidates = await provider.geocode(input);
+  const result = pickCandidate(candidates, input.postcode);
+
+  const cacheDays = parseInt(process.env.GEOCODE_CACHE_DAYS) || DEFAULT_CACHE_DAYS;
+  try {
+    await GeocodeCache.findOneAndUpdate(
+      { key },
+      {
+        key,
+        provider: provider.name,
+        query: input.text,
+        lat: result.lat,
+        lng: result.lng,
+        postcode: result.postcode || input.postcode || '',
+        formattedAddress: result.formattedAddress || input.text,
+        expiresAt: new Date(Date.now() + cacheDays * 24 * 60 * 60 * 1000),
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A cache failure must not block the order
+    console.error('Error caching geocoding result:', error);
+  }
+
+  return {
+    lat: result.lat,
+    lng: result.lng,
+    postcode: result.postcode || input.postcode || '',
+    formattedAddress: result.formattedAddress || input.text,
+    text: input.text,
+  };
+};
+
+/**
+ * Remove cached lookups of addresses for every provider (account deletion)
+ * @param {String[]} texts - Addresses as they were geocoded, e.g. order.address
+ * @returns {Promise<Number>} Entries removed
+ */
+const forgetCachedAddresses = async (texts) => {
+  const normalized = [...new Set(texts.filter(Boolean).map(normalizeAddressKey))];
+  if (normalized.length === 0) return 0;
+
+  const keys = Object.keys(PROVIDERS).flatMap((name) => normalized.map((text) => `${name}:${text}`));
+  const result = await GeocodeCache.deleteMany({ key: { $in: keys } });
+  return result.deletedCount;
+};
+
+module.exports = {
+  normalizeAddressInput,
+  geocodeAddress,
+  forgetCachedAddresses,
+};
@@ -0,0 +1,50 @@
+// Google Maps Geocoding API adapter (needs GOOGLE_MAPS_API_KEY)
+
+const { fetchJson } = require('./http');
+const { createHttpError } = require('../httpError');
+
+/**
+ * @param {{ text: String, structured: Object|null }} address
+ * @returns {Promise<Array>} Candidates
+ */
+const geocode = async ({ text, structured }) => {
+  const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+  if (!apiKey) {
+    throw createHttpError(500, 'GOOGLE_MAPS_API_KEY is not configured');
+  }
+
+  const components = ['country:DE'];
+  if (structured && structured.postcode) components.push(`postal_code:${structured.postcode}`);
+
+  const params = new URLSearchParams({
+    address: text,
+    components: components.join('|'),
+    region: 'de',
+    key: apiKey,
+  });
+  const data = await fetchJson(`https://maps.googleapis.com/maps/api/geocode/json?${params.toString()}`);
+
+  if (data.status === 'ZERO_RESULTS') return [];
+  if (data.status !== 'OK') {
+    console.error('Google geocoding error:', data.status, data.error_message);
+    throw createHttpError(502, 'Address lookup is temporarily unavailable. Please try again.', {
+      code: 'GEOCODER_UNAVAILABLE',
+    });
+  }
+
+  return data.results.map((result) => {
+    const postcode = result.address_components.find((c) => c.types.includes('postal_code'));
+    return {
+      lat: result.geometry.location.lat,
+      lng: result.geometry.location.lng,
+      postcode: postcode ? postcode.long_name : '',
+      formattedAddress: result.formatted_address,
+      precise: !result.partial_match && result.geometry.location_type === 'ROOFTOP',
+    };
+  });
+};
+
+module.exports = {
+  name: 'google',
+  geocode,
+};
@@ -0,0 +1,36 @@
+// Shared HTTP helper for geocoding adapters
+
+const { createHttpError } = require('../httpError');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * GET a JSON document, failing fast when the provider is slow or down
+ * @param {String} url
+ * @param {Object} [headers]
+ */
+const fetchJson = async (url, headers = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Accept: 'application/json', ...headers },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw createHttpError(502, 'Address lookup is temporarily unavailable. Please try again.', {
+      code: 'GEOCODER_UNAVAILABLE',
+    });
+  }
+
+  if (!response.ok) {
+    console.error(`Geocoding request failed with status ${response.status}`);
+    throw createHttpError(502, 'Address lookup is temporarily unavailable. Please try again.', {
+      code: 'GEOCODER_UNAVAILABLE',
+    });
+  }
+  return response.json();
+};
+
+module.exports = {
+  fetchJson,
+};
@@ -0,0 +1,62 @@
+// File-backed local geocoder
+// Stand-in for development and tests: looks addresses up in a JSON file
+// (GEOCODER_LOCAL_FILE, defaults to data/geocoding.local.json) instead of calling an API.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeAddressKey } = require('./normalize');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'geocoding.local.json');
+
+let cachedEntries = null;
+
+/**
+ * Load and index the address file once
+ */
+const loadEntries = () => {
+  if (cachedEntries) return cachedEntries;
+
+  const file = process.env.GEOCODER_LOCAL_FILE || DEFAULT_FILE;
+  const { addresses = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  cachedEntries = addresses.map((entry) => ({
+    ...entry,
+    key: normalizeAddressKey(entry.address),
+    streetKey: normalizeAddressKey(entry.street),
+  }));
+  return cachedEntries;
+};
+
+/**
+ * @param {{ text: String, structured: Object|null, postcode: String|null }} address
+ * @returns {Promise<Array>} Candidates
+ */
+const geocode = async ({ text, structured, postcode }) => {
+  const key = normalizeAddressKey(text);
+  const entries = loadEntries();
+
+  let matches = entries.filter((entry) => entry.key === key);
+  if (matches.length === 0) {
+    // Fall back to street (+ house number) matching, narrowed by postcode when known
+    const street = normalizeAddressKey(structured ? structured.street : text);
+    const houseNumber = structured ? String(structured.houseNumber || '') : '';
+    matches = entries.filter((entry) => {
+      if (!entry.streetKey || !street.includes(entry.streetKey)) return false;
+      if (postcode && entry.postcode !== postcode) return false;
+      if (houseNumber && entry.houseNumber && String(entry.houseNumber) !== houseNumber) return false;
+      return true;
+    });
+  }
+
+  return matches.map((entry) => ({
+    lat: entry.lat,
+    lng: entry.lng,
+    postcode: entry.postcode || '',
+    formattedAddress: entry.address,
+    precise: true,
+  }));
+};
+
+module.exports = {
+  name: 'local',
+  geocode,
+};
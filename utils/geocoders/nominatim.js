@@ -0,0 +1,44 @@
+// Nominatim (OpenStreetMap) geocoding adapter
+// Free, no API key. Requires an identifying User-Agent per the usage policy.
+
+const { fetchJson } = require('./http');
+
+const BASE_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+
+/**
+ * @param {{ text: String, structured: Object|null }} address
+ * @returns {Promise<Array>} Candidates
+ */
+const geocode = async ({ text, structured }) => {
+  const params = new URLSearchParams({
+    format: 'jsonv2',
+    addressdetails: '1',
+    limit: '5',
+    countrycodes: 'de',
+  });
+
+  if (structured) {
+    params.set('street', [structured.houseNumber, structured.street].filter(Boolean).join(' '));
+    if (structured.postcode) params.set('postalcode', structured.postcode);
+    if (structured.city) params.set('city', structured.city);
+  } else {
+    params.set('q', text);
+  }
+
+  const results = await fetchJson(`${BASE_URL}/search?${params.toString()}`, {
+    'User-Agent': process.env.NOMINATIM_USER_AGENT || 'american-pizza-backend',
+  });
+
+  return (results || []).map((result) => ({
+    lat: parseFloat(result.lat),
+    lng: parseFloat(result.lon),
+    postcode: (result.address && result.address.postcode) || '',
+    formattedAddress: result.display_name,
+    precise: Boolean(result.address && result.address.house_number),
+  }));
+};
+
+module.exports = {
+  name: 'nominatim',
+  geocode,
+};
@@ -0,0 +1,21 @@
+// Address normalization shared by the geocoder cache and the local adapter
+
+/**
+ * Normalize an address for lookups: lowercase, unify "Straße"/"Strasse"/"Str.",
+ * strip punctuation and collapse whitespace
+ * @param {String} text
+ */
+const normalizeAddressKey = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/ß/g, 'ss')
+    .replace(/strasse\b/g, 'str')
+    .replace(/str\./g, 'str')
+    .replace(/[.,;]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+module.exports = {
+  normalizeAddressKey,
+};
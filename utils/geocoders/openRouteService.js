@@ -0,0 +1,50 @@
+// OpenRouteService (Pelias) geocoding adapter (needs OPENROUTESERVICE_API_KEY)
+
+const { fetchJson } = require('./http');
+const { createHttpError } = require('../httpError');
+
+const BASE_URL = 'https://api.openrouteservice.org/geocode';
+
+/**
+ * @param {{ text: String, structured: Object|null }} address
+ * @returns {Promise<Array>} Candidates
+ */
+const geocode = async ({ text, structured }) => {
+  const apiKey = process.env.OPENROUTESERVICE_API_KEY;
+  if (!apiKey) {
+    throw createHttpError(500, 'OPENROUTESERVICE_API_KEY is not configured');
+  }
+
+  const params = new URLSearchParams({
+    api_key: apiKey,
+    'boundary.country': 'DE',
+    size: '5',
+  });
+
+  let url;
+  if (structured) {
+    params.set('address', [structured.street, structured.houseNumber].filter(Boolean).join(' '));
+    if (structured.postcode) params.set('postalcode', structured.postcode);
+    if (structured.city) params.set('locality', structured.city);
+    url = `${BASE_URL}/search/structured?${params.toString()}`;
+  } else {
+    params.set('text', text);
+    url = `${BASE_URL}/search?${params.toString()}`;
+  }
+
+  const data = await fetchJson(url);
+
+  return (data.features || []).map((feature) => ({
+    // OpenRouteService returns [lng, lat]
+    lat: feature.geometry.coordinates[1],
+    lng: feature.geometry.coordinates[0],
+    postcode: feature.properties.postalcode || '',
+    formattedAddress: feature.properties.label,
+    precise: feature.properties.match_type === 'exact' || feature.properties.layer === 'address',
+  }));
+};
+
+module.exports = {
+  name: 'openrouteservice',
+  geocode,
+};
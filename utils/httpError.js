@@ -0,0 +1,39 @@
+// HTTP Error helper
+// Creates errors carrying an HTTP status code so route handlers (and the
+// global error handler in server.js) can respond with the right status.
+
+/**
+ * Create an Error with an HTTP status attached
+ * @param {Number} status - HTTP status code
+ * @param {String} message - Error message sent to the client
+ * @param {Object} [details] - Extra fields merged into the JSON response
+ */
+const createHttpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Send an error thrown by a route handler or helper as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error (optionally carrying status/details)
+ */
+const sendError = (res, error) => {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error('Error:', error);
+  }
+  res.status(status).json({
+    message: error.message,
+    ...(error.details || {}),
+  });
+};
+
+module.exports = {
+  createHttpError,
+  sendError,
+};
@@ -0,0 +1,84 @@
+// Image Upload
+// Uploads images to Cloudinary: unsigned preset first, signed upload as fallback.
+// Keep the returned publicId; it is needed to delete the image again.
+
+const cloudinary = require('../config/cloudinary');
+const { createHttpError } = require('./httpError');
+
+/**
+ * Convert a multer memory-storage file to a data URI
+ * @param {Object} file - req.file from the upload middleware
+ */
+const fileToDataUri = (file) => `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+
+/**
+ * Upload an image to Cloudinary
+ * @param {String} dataUri - Image as data URI
+ * @param {String} folder - Cloudinary folder
+ * @returns {Promise<{ url: String, publicId: String }>}
+ */
+const uploadImage = async (dataUri, folder) => {
+  if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+    throw createHttpError(500, 'Cloudinary configuration is missing. Please set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET environment variables.');
+  }
+
+  const uploadPreset = process.env.CLOUDINARY_UPLOAD_PRESET || 'pizza_unsigned';
+  let uploaded;
+  try {
+    uploaded = await cloudinary.uploader.upload(dataUri, {
+      upload_preset: uploadPreset,
+      folder,
+      resource_type: 'image',
+    });
+  } catch (presetError) {
+    const isPresetError = presetError.message && presetError.message.toLowerCase().includes('preset');
+    if (!isPresetError) {
+      throw createHttpError(500, 'Failed to upload image to Cloudinary: ' + (presetError.message || 'Unknown error'));
+    }
+
+    console.warn('Upload preset failed, trying signed upload as fallback...');
+    try {
+      uploaded = await cloudinary.uploader.upload(dataUri, {
+        folder,
+        resource_type: 'image',
+      });
+    } catch (signedError) {
+      throw createHttpError(500, 'Failed to upload image to Cloudinary: ' + (signedError.message || 'Unknown error'));
+    }
+  }
+
+  if (!uploaded || !uploaded.secure_url) {
+    throw createHttpError(500, 'Failed to upload image to Cloudinary - no secure URL returned');
+  }
+
+  return { url: uploaded.secure_url, publicId: uploaded.public_id };
+};
+
+/**
+ * Public ID of an image from its Cloudinary delivery URL, for images uploaded
+ * before their publicId was stored (null when the URL is not recognised)
+ * @param {String} url - e.g. https://res.cloudinary.com/demo/image/upload/v1712/folder/abc.jpg
+ */
+const getPublicIdFromUrl = (url) => {
+  const match = /\/upload\/(?:.+\/)?v\d+\/(.+)\.\w+$/.exec(url || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Delete an image from Cloudinary (images that are already gone count as deleted)
+ * @param {String} publicId
+ */
+const deleteImage = async (publicId) => {
+  try {
+    await cloudinary.uploader.destroy(publicId, { resource_type: 'image', invalidate: true });
+  } catch (error) {
+    throw createHttpError(502, 'Failed to delete image from Cloudinary: ' + (error.message || 'Unknown error'));
+  }
+};
+
+module.exports = {
+  fileToDataUri,
+  uploadImage,
+  getPublicIdFromUrl,
+  deleteImage,
+};
@@ -0,0 +1,90 @@
+// Kitchen Dispatch
+// Decides when an order is sent to the kitchen. ASAP orders go straight away;
+// scheduled pre-orders are held back until shortly before their slot. Online
+// payments must be completed first; cash orders are cooked and paid on handover.
+
+const Order = require('../models/Order');
+const StoreSettings = require('../models/StoreSettings');
+const { emitTicket } = require('./kitchenDisplay');
+const { isPaymentCleared } = require('./orderStatus');
+const { ADMIN_ROOM } = require('./socketAuth');
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check whether an order should be in the kitchen by now
+ * @param {Object} order - Order document
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} [now]
+ */
+const isDueForKitchen = (order, settings, now = new Date()) => {
+  if (!order.scheduledFor) return true;
+  const releaseAt = order.scheduledFor.getTime() - settings.kitchenReleaseLeadMinutes * 60 * 1000;
+  return releaseAt <= now.getTime();
+};
+
+/**
+ * Push an order to the kitchen display (ticket:new) and admin dashboards (newOrder)
+ * and remember that it was sent
+ * @param {Object} io - Socket.io instance
+ * @param {Object} order - Order document
+ */
+const releaseOrderToKitchen = async (io, order) => {
+  if (!isPaymentCleared(order) || order.orderStatus === 'Cancelled') return false;
+
+  // Claim the release atomically so two workers never send the same order twice
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, releasedToKitchenAt: null },
+    { releasedToKitchenAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  order.releasedToKitchenAt = claimed.releasedToKitchenAt;
+  emitTicket(io, 'ticket:new', order);
+  io.to(ADMIN_ROOM).emit('newOrder', order);
+  return true;
+};
+
+/**
+ * Release all scheduled orders that are now due
+ * @param {Object} io - Socket.io instance
+ */
+const releaseDueOrders = async (io) => {
+  const settings = await StoreSettings.getSettings();
+  const releaseBefore = new Date(Date.now() + settings.kitchenReleaseLeadMinutes * 60 * 1000);
+
+  const dueOrders = await Order.find({
+    scheduledFor: { $ne: null, $lte: releaseBefore },
+    releasedToKitchenAt: null,
+    orderStatus: { $ne: 'Cancelled' },
+    $or: [{ paymentMethod: 'cash' }, { paymentStatus: 'completed' }],
+  }).sort({ scheduledFor: 1 });
+
+  for (const order of dueOrders) {
+    if (await releaseOrderToKitchen(io, order)) {
+      console.log(`Scheduled order ${order._id} released to kitchen`);
+    }
+  }
+};
+
+/**
+ * Periodically release scheduled orders to the kitchen
+ * @param {Object} io - Socket.io instance
+ */
+const startKitchenScheduler = (io) => {
+  const timer = setInterval(() => {
+    releaseDueOrders(io).catch((error) => {
+      console.error('Error releasing scheduled orders:', error);
+    });
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  isDueForKitchen,
+  releaseOrderToKitchen,
+  releaseDueOrders,
+  startKitchenScheduler,
+};
@@ -0,0 +1,241 @@
+// Kitchen Display
+// Streams kitchen tickets to the authenticated /kitchen socket.io namespace.
+// A ticket is an order that was released to the kitchen and is not finished;
+// bumping a ticket removes it from the screen, recalling brings it back.
+// Bumping is independent of the order status, which keeps its own flow.
+
+const Order = require('../models/Order');
+const { authenticateSocket, joinSessionRoom, socketHasPermission } = require('./socketAuth');
+const { describeItemOptions } = require('./orderPricing');
+const { createHttpError } = require('./httpError');
+
+const KITCHEN_NAMESPACE = '/kitchen';
+
+// Orders in these statuses never show on the kitchen screen
+const CLOSED_STATUSES = ['Delivered', 'Cancelled'];
+
+/**
+ * Whether a socket may use the kitchen display (also refuses staff who still
+ * have to change their password or set up 2FA)
+ * @param {Object} socket - Kitchen namespace socket
+ */
+const canUseKitchen = (socket) => socketHasPermission(socket, 'kitchen:use');
+
+/**
+ * Shape an order for the kitchen screen
+ * @param {Object} order - Order document
+ * @param {Date} [now]
+ */
+const toTicket = (order, now = new Date()) => {
+  const ticket = order.kitchenTicket || {};
+  const releasedAt = order.releasedToKitchenAt;
+  const readyAt = order.eta && order.eta.readyAt;
+
+  return {
+    orderId: order._id.toString(),
+    ticketNumber: order._id.toString().slice(-6).toUpperCase(),
+    orderStatus: order.orderStatus,
+    deliveryType: order.deliveryType,
+    customerName: order.customerName,
+    scheduledFor: order.scheduledFor,
+    releasedAt,
+    // Clients keep the timer running from releasedAt; ageSeconds is the value at serverTime
+    ageSeconds: releasedAt ? Math.max(0, Math.floor((now - releasedAt) / 1000)) : 0,
+    readyAt,
+    late: Boolean(readyAt && now > readyAt),
+    rush: Boolean(ticket.rush),
+    bumpedAt: ticket.bumpedAt || null,
+    recalledAt: ticket.recalledAt || null,
+    items: order.items.map((item) => ({
+      itemId: item._id.toString(),
+      name: item.name,
+      quantity: item.quantity,
+      options: describeItemOptions(item),
+      bumpedAt: item.bumpedAt || null,
+    })),
+  };
+};
+
+/**
+ * Open tickets for the kitchen screen, oldest first
+ */
+const getOpenTickets = async () => {
+  const orders = await Order.find({
+    releasedToKitchenAt: { $ne: null },
+    orderStatus: { $nin: CLOSED_STATUSES },
+    'kitchenTicket.bumpedAt': null,
+  }).sort({ releasedToKitchenAt: 1 });
+
+  const now = new Date();
+  return orders.map((order) => toTicket(order, now));
+};
+
+/**
+ * Send all open tickets to one socket (on connect, reconnect and on request)
+ * @param {Object} socket - Kitchen namespace socket
+ */
+const sendSnapshot = async (socket) => {
+  try {
+    const tickets = await getOpenTickets();
+    socket.emit('tickets:snapshot', { tickets, serverTime: new Date() });
+  } catch (error) {
+    console.error('Error sending kitchen snapshot:', error);
+    socket.emit('tickets:error', { message: 'Could not load tickets' });
+  }
+};
+
+/**
+ * Set up the /kitchen namespace: staff only, snapshot on every connection
+ * @param {Object} io - Socket.io instance
+ */
+const registerKitchenNamespace = (io) => {
+  const kitchen = io.of(KITCHEN_NAMESPACE);
+
+  kitchen.use(authenticateSocket);
+  kitchen.use((socket, next) => {
+    if (!canUseKitchen(socket)) {
+      return next(new Error('Not authorized for the kitchen display'));
+    }
+    next();
+  });
+
+  kitchen.on('connection', (socket) => {
+    console.log(`Kitchen display connected: ${socket.id} (${socket.data.user.email})`);
+    joinSessionRoom(socket);
+    sendSnapshot(socket);
+
+    socket.on('tickets:sync', () => {
+      sendSnapshot(socket);
+    });
+  });
+
+  return kitchen;
+};
+
+/**
+ * Broadcast a ticket change to every kitchen screen
+ * @param {Object} io - Socket.io instance
+ * @param {String} event - ticket:new, ticket:updated, ticket:bumped, ticket:recalled, ticket:cancelled
+ * @param {Object} order - Order document
+ */
+const emitTicket = (io, event, order) => {
+  // Orders still held back for their slot are not in the kitchen yet
+  if (!order.releasedToKitchenAt) return;
+  io.of(KITCHEN_NAMESPACE).emit(event, { ticket: toTicket(order), serverTime: new Date() });
+};
+
+/**
+ * Send a ticket's new state after a status or kitchen change
+ * @param {Object} io - Socket.io instance
+ * @param {Object} order - Order document
+ */
+const emitTicketUpdate = (io, order) => {
+  if (order.orderStatus === 'Cancelled') {
+    emitTicket(io, 'ticket:cancelled', order);
+  } else {
+    emitTicket(io, 'ticket:updated', order);
+  }
+};
+
+/**
+ * Load an order that is on (or was bumped from) the kitchen screen
+ * @param {String} orderId
+ */
+const findTicketOrder = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order || !order.releasedToKitchenAt) {
+    throw createHttpError(404, 'Ticket not found');
+  }
+  if (CLOSED_STATUSES.includes(order.orderStatus)) {
+    throw createHttpError(400, `Order is ${order.orderStatus} and no longer in the kitchen`);
+  }
+  return order;
+};
+
+/**
+ * Bump a whole ticket off the kitchen screen
+ * @param {Object} order - Order document
+ * @param {Object} user - Staff member
+ */
+const bumpTicket = (order, user) => {
+  if (order.kitchenTicket && order.kitchenTicket.bumpedAt) {
+    throw createHttpError(400, 'Ticket is already bumped');
+  }
+  const bumpedAt = new Date();
+  order.items.forEach((item) => {
+    if (!item.bumpedAt) item.bumpedAt = bumpedAt;
+  });
+  order.set('kitchenTicket.bumpedAt', bumpedAt);
+  order.set('kitchenTicket.bumpedBy', user._id);
+};
+
+/**
+ * Bump a single item; the ticket is bumped once every item is done
+ * @param {Object} order - Order document
+ * @param {String} itemId - Order item _id
+ * @param {Object} user - Staff member
+ * @returns {Boolean} Whether the whole ticket got bumped
+ */
+const bumpTicketItem = (order, itemId, user) => {
+  const item = order.items.id(itemId);
+  if (!item) {
+    throw createHttpError(404, 'Item not found on this ticket');
+  }
+  if (item.bumpedAt) {
+    throw createHttpError(400, 'Item is already bumped');
+  }
+  item.bumpedAt = new Date();
+
+  const allDone = order.items.every((orderItem) => orderItem.bumpedAt);
+  if (allDone && !(order.kitchenTicket && order.kitchenTicket.bumpedAt)) {
+    bumpTicket(order, user);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Bring a bumped ticket back to the screen (items stay as they were bumped)
+ * @param {Object} order - Order document
+ */
+const recallTicket = (order) => {
+  if (!order.kitchenTicket || !order.kitchenTicket.bumpedAt) {
+    throw createHttpError(400, 'Ticket is not bumped');
+  }
+  order.set('kitchenTicket.bumpedAt', null);
+  order.set('kitchenTicket.bumpedBy', null);
+  order.set('kitchenTicket.recalledAt', new Date());
+  // A fully bumped ticket comes back with its items open again
+  if (order.items.every((item) => item.bumpedAt)) {
+    order.items.forEach((item) => {
+      item.bumpedAt = null;
+    });
+  }
+};
+
+/**
+ * Flag a ticket as rush (or clear the flag)
+ * @param {Object} order - Order document
+ * @param {Boolean} rush
+ * @param {Object} user - Staff member
+ */
+const setTicketRush = (order, rush, user) => {
+  order.set('kitchenTicket.rush', rush);
+  order.set('kitchenTicket.rushedAt', rush ? new Date() : null);
+  order.set('kitchenTicket.rushedBy', rush ? user._id : null);
+};
+
+module.exports = {
+  KITCHEN_NAMESPACE,
+  canUseKitchen,
+  toTicket,
+  getOpenTickets,
+  registerKitchenNamespace,
+  emitTicket,
+  emitTicketUpdate,
+  findTicketOrder,
+  bumpTicket,
+  bumpTicketItem,
+  recallTicket,
+  setTicketRush,
+};
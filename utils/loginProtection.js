@@ -0,0 +1,164 @@
+// Login Protection
+// Slows down and stops password guessing. Failed logins are counted per
+// account (on the user) and per IP address (rate limit counters). From the
+// third failure an account must wait progressively longer between attempts;
+// after ten it is locked for a while. Staff lockouts are reported to
+// everyone who can unlock accounts.
+
+const User = require('../models/User');
+const { isStaff, getRolesWithPermission } = require('../config/permissions');
+const { createHttpError } = require('./httpError');
+const { consumeRateLimit, peekRateLimit } = require('./rateLimiter');
+const { getFrontendUrl, sendTemplate } = require('./mailer');
+const { ADMIN_ROOM } = require('./socketAuth');
+
+// Per account
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+const LOCK_AFTER_FAILURES = 10;
+const LOCK_MINUTES = 15;
+
+// Per IP address: failed logins per window, across all accounts
+const IP_FAILURE_LIMIT = { limit: 30, windowSeconds: 15 * 60 };
+
+/**
+ * Seconds an account must wait after its latest failure
+ * @param {Number} failedAttempts
+ */
+const getDelaySeconds = (failedAttempts) => {
+  if (failedAttempts < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failedAttempts - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Refuse a login attempt from a blocked IP or for a locked or cooling-down account
+ * @param {Object|null} user - User document (null for unknown emails)
+ * @param {String} ip
+ */
+const assertLoginAllowed = async (user, ip) => {
+  const byIp = await peekRateLimit('login-failures:ip', ip, IP_FAILURE_LIMIT);
+  if (!byIp.allowed) {
+    throw createHttpError(429, 'Too many failed logins from this network, please try again later', {
+      retryAfter: byIp.retryAfter,
+    });
+  }
+  if (!user) return;
+
+  const security = user.loginSecurity || {};
+  const now = Date.now();
+  if (security.lockedUntil && security.lockedUntil > now) {
+    throw createHttpError(423, 'Account temporarily locked after too many failed logins', {
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: Math.ceil((security.lockedUntil - now) / 1000),
+    });
+  }
+
+  const delaySeconds = getDelaySeconds(security.failedAttempts || 0);
+  const waitUntil = security.lastFailedAt ? security.lastFailedAt.getTime() + delaySeconds * 1000 : 0;
+  if (waitUntil > now) {
+    throw createHttpError(429, 'Too many failed logins, please wait before trying again', {
+      retryAfter: Math.ceil((waitUntil - now) / 1000),
+    });
+  }
+};
+
+/**
+ * Email and notify everyone who can unlock accounts about a locked staff account
+ * @param {Object} io - Socket.io instance
+ * @param {Object} user - Locked user
+ * @param {String} ip
+ */
+const notifyStaffLockout = async (io, user, ip) => {
+  const lockedUntil = user.loginSecurity.lockedUntil;
+  if (io) {
+    io.to(ADMIN_ROOM).emit('accountLocked', {
+      userId: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      lockedUntil,
+    });
+  }
+
+  const admins = await User.find({
+    roles: { $in: getRolesWithPermission('users:unlock') },
+    _id: { $ne: user._id },
+  }).select('email');
+  await Promise.all(admins.map((admin) => sendTemplate('staffLockout', admin.email, {
+    user,
+    lockedUntil,
+    ip,
+    url: `${getFrontendUrl()}/admin/staff`,
+  })));
+};
+
+/**
+ * Count a failed login; locks the account once it reaches the limit
+ * @param {Object} io - Socket.io instance (for staff lockout notices)
+ * @param {Object|null} user - User document (null for unknown emails)
+ * @param {String} ip
+ */
+const recordLoginFailure = async (io, user, ip) => {
+  await consumeRateLimit('login-failures:ip', ip, IP_FAILURE_LIMIT);
+  if (!user) return;
+
+  const now = new Date();
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+    { new: true }
+  );
+  if (!updated || updated.loginSecurity.failedAttempts < LOCK_AFTER_FAILURES) return;
+
+  // Conditional update so parallel failures lock (and notify) only once
+  const lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, 'loginSecurity.failedAttempts': { $gte: LOCK_AFTER_FAILURES } },
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockedUntil': lockedUntil,
+      },
+      $inc: { 'loginSecurity.lockCount': 1 },
+    },
+    { new: true }
+  );
+  if (!locked) return;
+
+  console.warn(`Account ${locked.email} locked until ${lockedUntil.toISOString()} (last attempt from ${ip})`);
+  if (isStaff(locked)) {
+    notifyStaffLockout(io, locked, ip)
+      .catch((error) => console.error('Error sending lockout notice:', error));
+  }
+};
+
+/**
+ * Forget failed attempts after a successful login
+ * @param {Object} user - User document
+ */
+const recordLoginSuccess = async (user) => {
+  const security = user.loginSecurity || {};
+  if (!security.failedAttempts && !security.lockedUntil) return;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockedUntil': null } }
+  );
+};
+
+/**
+ * Lift a lockout early (admin action)
+ * @param {Object} user - User document
+ */
+const unlockAccount = async (user) => {
+  user.set('loginSecurity.failedAttempts', 0);
+  user.set('loginSecurity.lockedUntil', null);
+  user.set('loginSecurity.lastFailedAt', null);
+  await user.save();
+};
+
+module.exports = {
+  getDelaySeconds,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+};
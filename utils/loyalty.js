@@ -0,0 +1,362 @@
+// Loyalty Points
+// Customers earn points per euro spent once an order is Delivered (handed over
+// at the counter or at the door) and redeem them as a discount at checkout.
+// Every change is a ledger entry (models/LoyaltyTransaction.js) and the user
+// keeps the running balance. Credits are spent oldest first and whatever is
+// left of them expires after loyaltyPointsExpiryDays. Refunds take back the
+// points earned on the refunded part; cancelled orders give redeemed points back.
+
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Order = require('../models/Order');
+const StoreSettings = require('../models/StoreSettings');
+const User = require('../models/User');
+const { createHttpError } = require('./httpError');
+const { roundCurrency } = require('./orderPricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shown as "expiring soon" in GET /api/loyalty
+const EXPIRY_WARNING_DAYS = 30;
+
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Discount in euros for a number of points
+ * @param {Number} points
+ * @param {Object} settings - StoreSettings document
+ */
+const pointsToEuros = (points, settings) => roundCurrency((points * settings.loyaltyPointValueCents) / 100);
+
+/**
+ * Spend credits oldest first (keeps `remaining` in step with the balance)
+ * @param {String} userId
+ * @param {Number} points - Points to take (positive)
+ */
+const consumeCredits = async (userId, points) => {
+  let left = points;
+  const credits = await LoyaltyTransaction.find({ user: userId, remaining: { $gt: 0 } }).sort({ createdAt: 1 });
+  for (const credit of credits) {
+    if (left <= 0) break;
+    const take = Math.min(credit.remaining, left);
+    const result = await LoyaltyTransaction.updateOne(
+      { _id: credit._id, remaining: { $gte: take } },
+      { $inc: { remaining: -take } }
+    );
+    if (result.modifiedCount) left -= take;
+  }
+};
+
+/**
+ * Change a user's balance and write the ledger entry
+ * @param {String} userId
+ * @param {String} type - earn, redeem, restore, reverse, expire or adjust
+ * @param {Number} points - Positive credit or negative debit
+ * @param {Object} [fields] - order, reason, createdBy, expiresAt
+ * @param {Object} [options]
+ * @param {Boolean} [options.requireFunds] - Refuse debits the balance does not cover
+ * @returns {Promise<Object|null>} The entry, or null when the balance was too low
+ */
+const addEntry = async (userId, type, points, fields = {}, { requireFunds = false } = {}) => {
+  const filter = { _id: userId };
+  if (requireFunds && points < 0) {
+    filter.loyaltyPoints = { $gte: -points };
+  }
+  const user = await User.findOneAndUpdate(filter, { $inc: { loyaltyPoints: points } }, { new: true })
+    .select('loyaltyPoints');
+  if (!user) return null;
+
+  if (points < 0) {
+    await consumeCredits(userId, -points);
+  }
+  return LoyaltyTransaction.create({
+    user: userId,
+    type,
+    points,
+    balanceAfter: user.loyaltyPoints,
+    remaining: points > 0 ? points : 0,
+    ...fields,
+  });
+};
+
+/**
+ * Expiry date for points credited now
+ * @param {Object} settings - StoreSettings document
+ */
+const getExpiryDate = (settings) => {
+  if (!settings.loyaltyPointsExpiryDays) return null;
+  return new Date(Date.now() + settings.loyaltyPointsExpiryDays * DAY_MS);
+};
+
+/**
+ * Check points a customer wants to redeem at checkout
+ * @param {Object} user - User document
+ * @param {*} points - Requested points
+ * @param {Object} options
+ * @param {Number} options.maxDiscount - Amount the points may cover (subtotal after other discounts)
+ * @param {Object} options.settings - StoreSettings document
+ * @returns {{ points: Number, discount: Number }}
+ */
+const validateRedemption = (user, points, { maxDiscount, settings }) => {
+  if (!settings.loyaltyEnabled) {
+    throw createHttpError(400, 'Loyalty points cannot be redeemed at the moment');
+  }
+  if (!Number.isInteger(points) || points <= 0) {
+    throw createHttpError(400, 'Points to redeem must be a whole number greater than 0');
+  }
+  if (points > (user.loyaltyPoints || 0)) {
+    throw createHttpError(400, `You only have ${user.loyaltyPoints || 0} points`, {
+      balance: user.loyaltyPoints || 0,
+    });
+  }
+
+  // Points pay for the food, never for more than it costs
+  const maxPoints = Math.floor((maxDiscount * 100) / settings.loyaltyPointValueCents);
+  if (points > maxPoints) {
+    throw createHttpError(400, `You can redeem at most ${maxPoints} points on this order`, {
+      maxRedeemablePoints: maxPoints,
+    });
+  }
+  return { points, discount: pointsToEuros(points, settings) };
+};
+
+/**
+ * Take the redeemed points of a new order off the balance
+ * @param {Object} order - New order with loyalty.pointsRedeemed set
+ */
+const redeemOrderPoints = async (order) => {
+  const points = order.loyalty.pointsRedeemed;
+  const entry = await addEntry(order.user, 'redeem', -points, { order: order._id }, { requireFunds: true });
+  if (!entry) {
+    throw createHttpError(409, 'Your points balance changed, please try again');
+  }
+  return entry;
+};
+
+/**
+ * Give back the points redeemed on an order (cancelled, or failed to be created)
+ * @param {Object} order - Order document
+ * @param {String} reason
+ */
+const restoreRedeemedPoints = async (order, reason) => {
+  const points = order.loyalty && order.loyalty.pointsRedeemed;
+  if (!points || !order.user) return null;
+
+  const settings = await StoreSettings.getSettings();
+  return addEntry(order.user._id || order.user, 'restore', points, {
+    order: order._id,
+    reason,
+    expiresAt: getExpiryDate(settings),
+  });
+};
+
+/**
+ * Amount of an order that earns points: food only (no delivery charge),
+ * after discounts and refunds so far
+ * @param {Object} order - Order document
+ * @returns {Number}
+ */
+const getEligibleAmount = (order) =>
+  Math.max(0, order.totalAmount - (order.deliveryCharge || 0) - (order.refundedAmount || 0));
+
+/**
+ * Credit the points for a delivered order (once per order)
+ * @param {Object} order - Order document that just reached Delivered
+ * @returns {Promise<Number>} Points earned
+ */
+const awardOrderPoints = async (order) => {
+  if (!order.user) return 0;
+  const settings = await StoreSettings.getSettings();
+  if (!settings.loyaltyEnabled) return 0;
+
+  const eligibleAmount = getEligibleAmount(order);
+  const points = Math.floor(eligibleAmount * settings.loyaltyPointsPerEuro);
+  if (points <= 0) return 0;
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'loyalty.earnedAt': null },
+    {
+      $set: {
+        'loyalty.earnedAt': new Date(),
+        'loyalty.pointsEarned': points,
+        'loyalty.earnedOn': eligibleAmount,
+        'loyalty.pointsReversed': 0,
+      },
+    }
+  );
+  if (!claimed) return 0;
+
+  order.set('loyalty.earnedAt', new Date());
+  order.set('loyalty.pointsEarned', points);
+  order.set('loyalty.earnedOn', eligibleAmount);
+  await addEntry(order.user._id || order.user, 'earn', points, {
+    order: order._id,
+    expiresAt: getExpiryDate(settings),
+  });
+  return points;
+};
+
+/**
+ * Take back points earned on an order after a refund: the refunded share,
+ * or everything still left once the order is fully refunded or cancelled
+ * @param {Object} order - Order document (refund already recorded)
+ * @param {Number} [amount] - Refunded amount; omitted takes back everything
+ * @returns {Promise<Number>} Points taken back
+ */
+const reverseEarnedPoints = async (order, amount) => {
+  const loyalty = order.loyalty || {};
+  const outstanding = (loyalty.pointsEarned || 0) - (loyalty.pointsReversed || 0);
+  if (outstanding <= 0 || !order.user) return 0;
+
+  // Same base the points were earned on (orders earned before it was stored: food total)
+  const earnedOn = loyalty.earnedOn || order.totalAmount - (order.deliveryCharge || 0);
+  const fullyRefunded = amount === undefined || order.refundedAmount >= order.totalAmount;
+  const points = fullyRefunded || earnedOn <= 0
+    ? outstanding
+    : Math.min(outstanding, Math.round((loyalty.pointsEarned * amount) / earnedOn));
+  if (points <= 0) return 0;
+
+  // Conditional so parallel refunds can't take back the same points twice
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'loyalty.pointsReversed': loyalty.pointsReversed || 0 },
+    { $inc: { 'loyalty.pointsReversed': points } }
+  );
+  if (!claimed) return 0;
+
+  let reason = `Partial refund of €${Number(amount).toFixed(2)}`;
+  if (amount === undefined) {
+    reason = 'Order cancelled';
+  } else if (fullyRefunded) {
+    reason = 'Order refunded';
+  }
+  order.set('loyalty.pointsReversed', (loyalty.pointsReversed || 0) + points);
+  await addEntry(order.user._id || order.user, 'reverse', -points, { order: order._id, reason });
+  return points;
+};
+
+/**
+ * Manually correct a balance (staff)
+ * @param {Object} user - Customer
+ * @param {Number} points - Positive to add, negative to remove
+ * @param {String} reason - Why (shown to the customer)
+ * @param {Object} staff - Staff member making the change
+ */
+const adjustPoints = async (user, points, reason, staff) => {
+  if (!Number.isInteger(points) || points === 0) {
+    throw createHttpError(400, 'Points must be a whole number other than 0');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw createHttpError(400, 'Please provide a reason');
+  }
+
+  const settings = await StoreSettings.getSettings();
+  const entry = await addEntry(user._id, 'adjust', points, {
+    reason: String(reason).trim(),
+    createdBy: staff._id,
+    expiresAt: points > 0 ? getExpiryDate(settings) : null,
+  }, { requireFunds: true });
+  if (!entry) {
+    throw createHttpError(400, `The balance is only ${user.loyaltyPoints || 0} points`);
+  }
+  return entry;
+};
+
+/**
+ * Expire whatever is left of credits past their expiry date
+ * @param {Date} [now]
+ * @returns {Promise<Number>} Points expired
+ */
+const expirePoints = async (now = new Date()) => {
+  const credits = await LoyaltyTransaction.find({ expiresAt: { $lte: now }, remaining: { $gt: 0 } });
+  let expired = 0;
+  for (const credit of credits) {
+    // Claim the rest first so a redemption running at the same time can't spend it too
+    const claimed = await LoyaltyTransaction.findOneAndUpdate(
+      { _id: credit._id, remaining: credit.remaining },
+      { $set: { remaining: 0 } }
+    );
+    if (!claimed) continue;
+
+    const user = await User.findByIdAndUpdate(
+      credit.user,
+      { $inc: { loyaltyPoints: -credit.remaining } },
+      { new: true }
+    ).select('loyaltyPoints');
+    if (!user) continue;
+
+    await LoyaltyTransaction.create({
+      user: credit.user,
+      type: 'expire',
+      points: -credit.remaining,
+      balanceAfter: user.loyaltyPoints,
+      reason: `Points from ${credit.createdAt.toISOString().slice(0, 10)} expired`,
+    });
+    expired += credit.remaining;
+  }
+  return expired;
+};
+
+/**
+ * Run the expiry job now and then every hour
+ */
+const startLoyaltyScheduler = () => {
+  const run = () => {
+    expirePoints()
+      .then((points) => {
+        if (points) console.log(`Expired ${points} loyalty point(s)`);
+      })
+      .catch((error) => console.error('Error expiring loyalty points:', error));
+  };
+
+  run();
+  const timer = setInterval(run, EXPIRY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Balance, value, points expiring soon and ledger history of a user
+ * @param {Object} user - User document
+ * @param {Object} [options] - { page, limit }
+ */
+const getLoyaltySummary = async (user, { page = 1, limit = 50 } = {}) => {
+  const settings = await StoreSettings.getSettings();
+  const balance = user.loyaltyPoints || 0;
+  const warnUntil = new Date(Date.now() + EXPIRY_WARNING_DAYS * DAY_MS);
+
+  const [expiring, history, total] = await Promise.all([
+    LoyaltyTransaction.find({ user: user._id, remaining: { $gt: 0 }, expiresAt: { $ne: null, $lte: warnUntil } })
+      .sort({ expiresAt: 1 }),
+    LoyaltyTransaction.find({ user: user._id })
+      .select('type points balanceAfter order reason expiresAt createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    LoyaltyTransaction.countDocuments({ user: user._id }),
+  ]);
+
+  return {
+    enabled: settings.loyaltyEnabled,
+    balance,
+    value: pointsToEuros(Math.max(0, balance), settings),
+    pointsPerEuro: settings.loyaltyPointsPerEuro,
+    pointValueCents: settings.loyaltyPointValueCents,
+    expiringSoon: expiring.map((credit) => ({ points: credit.remaining, expiresAt: credit.expiresAt })),
+    history,
+    page,
+    pages: Math.ceil(total / limit),
+    total,
+  };
+};
+
+module.exports = {
+  pointsToEuros,
+  validateRedemption,
+  redeemOrderPoints,
+  restoreRedeemedPoints,
+  awardOrderPoints,
+  reverseEarnedPoints,
+  adjustPoints,
+  expirePoints,
+  startLoyaltyScheduler,
+  getLoyaltySummary,
+};
@@ -0,0 +1,86 @@
+// Mailer
+// Shared nodemailer transport (EMAIL_HOST, EMAIL_PORT, EMAIL_USER, EMAIL_PASS).
+// Emails are built from the templates in emailTemplates.js. Sending is skipped,
+// not failed, when email is not configured.
+
+const { templates } = require('./emailTemplates');
+
+// Optional dependency - only loaded when needed
+let nodemailer = null;
+try {
+  nodemailer = require('nodemailer');
+} catch (e) {
+  // nodemailer not installed - emails will be skipped
+}
+
+let transporter = null;
+
+/**
+ * Whether emails can be sent at all
+ */
+const isMailConfigured = () => Boolean(nodemailer && process.env.EMAIL_HOST && process.env.EMAIL_USER);
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+      port: process.env.EMAIL_PORT || 587,
+      secure: false, // true for 465, false for other ports
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+    });
+  }
+  return transporter;
+};
+
+/**
+ * First FRONTEND_URL entry, used to build links in emails
+ */
+const getFrontendUrl = () => {
+  return process.env.FRONTEND_URL ? process.env.FRONTEND_URL.split(',')[0].trim().replace(/\/$/, '') : '';
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, html, text }
+ * @returns {Promise<Boolean>} false when email is not configured
+ */
+const sendMail = async ({ to, subject, html, text }) => {
+  if (!isMailConfigured()) {
+    console.log(`Email service not configured. Skipping "${subject}" to ${to}.`);
+    return false;
+  }
+
+  await getTransporter().sendMail({
+    from: `"American Pizza" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    html,
+    text,
+  });
+  return true;
+};
+
+/**
+ * Render a template from emailTemplates.js and send it
+ * @param {String} name - Template name, e.g. 'passwordReset'
+ * @param {String} to - Recipient
+ * @param {Object} data - Template data
+ * @returns {Promise<Boolean>} false when email is not configured
+ */
+const sendTemplate = async (name, to, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return sendMail({ to, ...template(data) });
+};
+
+module.exports = {
+  isMailConfigured,
+  getFrontendUrl,
+  sendMail,
+  sendTemplate,
+};
@@ -0,0 +1,189 @@
+// Offer Service
+// Validates promo codes and manages offer redemption limits at checkout.
+
+const crypto = require('crypto');
+const Offer = require('../models/Offer');
+const OfferRedemption = require('../models/OfferRedemption');
+const Order = require('../models/Order');
+const { createHttpError } = require('./httpError');
+const { roundCurrency } = require('./orderPricing');
+
+const PER_USER_LIMIT_MESSAGE = 'You have already used this offer the maximum number of times';
+
+/**
+ * Keys a customer's redemptions are counted under: the account and the email,
+ * so guest orders count towards the limit too
+ * @param {Object} customer - { userId, email }
+ * @returns {Array<{ key: String, filter: Object }>} Counter key and matching order query
+ */
+const getCustomerKeys = ({ userId, email }) => {
+  const keys = [];
+  if (userId) {
+    keys.push({ key: `user:${userId}`, filter: { user: userId } });
+  }
+  if (email) {
+    const normalizedEmail = String(email).trim().toLowerCase();
+    // Hashed, so the counters hold no readable addresses
+    const emailHash = crypto.createHash('sha256').update(normalizedEmail).digest('hex');
+    keys.push({ key: `email:${emailHash}`, filter: { customerEmail: normalizedEmail } });
+  }
+  return keys;
+};
+
+/**
+ * Orders (not cancelled) in which a customer redeemed an offer
+ * @param {String} offerId
+ * @param {Object} customer - Entry from getCustomerKeys
+ */
+const countCustomerRedemptions = (offerId, customer) => {
+  return Order.countDocuments({ ...customer.filter, offer: offerId, orderStatus: { $ne: 'Cancelled' } });
+};
+
+/**
+ * Calculate the discount an offer gives on a subtotal
+ * @param {Object} offer - Offer document
+ * @param {Number} subtotal - Order subtotal before discounts
+ */
+const calculateOfferDiscount = (offer, subtotal) => {
+  return roundCurrency(Math.min(subtotal, (subtotal * offer.discount) / 100));
+};
+
+/**
+ * Check that a promo code can be redeemed for an order
+ * @param {String} code - Promo code entered by the customer
+ * @param {Object} options
+ * @param {Number} options.subtotal - Order subtotal before discounts
+ * @param {String} [options.userId] - Customer redeeming the code
+ * @param {String} [options.email] - Customer email (counts guest orders towards the per-customer limit)
+ * @returns {Promise<{ offer: Object, discountAmount: Number }>}
+ */
+const validateOffer = async (code, { subtotal, userId, email }) => {
+  if (!code || typeof code !== 'string' || !code.trim()) {
+    throw createHttpError(400, 'Please provide an offer code');
+  }
+
+  const offer = await Offer.findOne({ code: code.trim().toUpperCase() });
+  if (!offer || !offer.isActive) {
+    throw createHttpError(400, 'Invalid offer code');
+  }
+
+  const now = new Date();
+  if (offer.validFrom > now) {
+    throw createHttpError(400, 'This offer is not active yet');
+  }
+  if (offer.validUntil < now) {
+    throw createHttpError(400, 'This offer has expired');
+  }
+
+  if (subtotal < (offer.minOrderAmount || 0)) {
+    throw createHttpError(400, `This offer requires a minimum order of €${offer.minOrderAmount.toFixed(2)}`, {
+      minOrderAmount: offer.minOrderAmount,
+    });
+  }
+
+  if (offer.maxRedemptions > 0 && offer.redemptionCount >= offer.maxRedemptions) {
+    throw createHttpError(400, 'This offer has reached its redemption limit');
+  }
+
+  // Checked again atomically by reserveOfferRedemption
+  if (offer.maxRedemptionsPerUser > 0 && (userId || email)) {
+    const userRedemptions = await Order.countDocuments({
+      $or: getCustomerKeys({ userId, email }).map((customer) => customer.filter),
+      offer: offer._id,
+      orderStatus: { $ne: 'Cancelled' },
+    });
+    if (userRedemptions >= offer.maxRedemptionsPerUser) {
+      throw createHttpError(400, PER_USER_LIMIT_MESSAGE);
+    }
+  }
+
+  return {
+    offer,
+    discountAmount: calculateOfferDiscount(offer, subtotal),
+  };
+};
+
+/**
+ * Atomically count one redemption against a customer's limit. The counter
+ * starts from the customer's earlier orders with the offer.
+ * @param {Object} offer - Offer document
+ * @param {Object} customer - Entry from getCustomerKeys
+ * @returns {Promise<Boolean>} Whether the customer was still within the limit
+ */
+const reserveCustomerRedemption = async (offer, customer) => {
+  if (!await OfferRedemption.exists({ offer: offer._id, customer: customer.key })) {
+    try {
+      await OfferRedemption.create({
+        offer: offer._id,
+        customer: customer.key,
+        count: await countCustomerRedemptions(offer._id, customer),
+      });
+    } catch (error) {
+      // Created by a concurrent checkout
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const updated = await OfferRedemption.findOneAndUpdate(
+    { offer: offer._id, customer: customer.key, count: { $lt: offer.maxRedemptionsPerUser } },
+    { $inc: { count: 1 } }
+  );
+  return Boolean(updated);
+};
+
+/**
+ * Atomically count a redemption against the offer's global and per-user limits
+ * @param {Object} offer - Offer document
+ * @param {Object} [customer] - { userId, email }
+ */
+const reserveOfferRedemption = async (offer, customer = {}) => {
+  const filter = { _id: offer._id };
+  if (offer.maxRedemptions > 0) {
+    filter.redemptionCount = { $lt: offer.maxRedemptions };
+  }
+
+  const updated = await Offer.findOneAndUpdate(filter, { $inc: { redemptionCount: 1 } }, { new: true });
+  if (!updated) {
+    throw createHttpError(400, 'This offer has reached its redemption limit');
+  }
+
+  if (offer.maxRedemptionsPerUser > 0) {
+    const reserved = [];
+    for (const key of getCustomerKeys(customer)) {
+      if (!await reserveCustomerRedemption(offer, key)) {
+        await releaseOfferRedemption(offer._id, reserved);
+        throw createHttpError(400, PER_USER_LIMIT_MESSAGE);
+      }
+      reserved.push(key);
+    }
+  }
+  return updated;
+};
+
+/**
+ * Give back a redemption (e.g. the order could not be saved or was cancelled)
+ * @param {String} offerId - Offer ID
+ * @param {Object|Array} [customer] - { userId, email } or entries from getCustomerKeys
+ */
+const releaseOfferRedemption = async (offerId, customer = {}) => {
+  await Offer.updateOne(
+    { _id: offerId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+
+  const keys = Array.isArray(customer) ? customer : getCustomerKeys(customer);
+  for (const { key } of keys) {
+    await OfferRedemption.updateOne(
+      { offer: offerId, customer: key, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+};
+
+module.exports = {
+  getCustomerKeys,
+  calculateOfferDiscount,
+  validateOffer,
+  reserveOfferRedemption,
+  releaseOfferRedemption,
+};
@@ -0,0 +1,217 @@
+// Order Cancellation & Refunds
+// Cancels orders, records full and partial refunds and notifies the customer.
+
+const { createHttpError } = require('./httpError');
+const { roundCurrency } = require('./orderPricing');
+const { REFUNDABLE_PAYMENT_STATUSES, canCancel } = require('./orderStatus');
+const { releaseOfferRedemption } = require('./offerService');
+const { releaseSlot } = require('./slotService');
+const { restoreRedeemedPoints, reverseEarnedPoints } = require('./loyalty');
+const { emitTicketUpdate } = require('./kitchenDisplay');
+const { ADMIN_ROOM } = require('./socketAuth');
+const { toTrackingView } = require('./orderTracking');
+
+/**
+ * Get the user ID of an order whether or not `user` is populated
+ * @param {Object} order - Order document
+ */
+const getOrderUserId = (order) => {
+  if (!order.user) return null;
+  return order.user._id ? order.user._id.toString() : order.user.toString();
+};
+
+/**
+ * Amount that can still be refunded on an order
+ * @param {Object} order - Order document
+ */
+const getRefundableAmount = (order) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) return 0;
+  return roundCurrency(order.totalAmount - (order.refundedAmount || 0));
+};
+
+/**
+ * Record a refund on an order (does not save)
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {Number} [options.amount] - Amount to refund, defaults to everything left
+ * @param {String} [options.reason] - Why the refund was given
+ * @param {String} [options.refundedBy] - User issuing the refund
+ * @returns {Object} The refund entry
+ */
+const applyRefund = (order, { amount, reason, refundedBy }) => {
+  const refundable = getRefundableAmount(order);
+  if (refundable <= 0) {
+    throw createHttpError(400, 'This order has no payment left to refund');
+  }
+
+  const refundAmount = amount === undefined || amount === null || amount === ''
+    ? refundable
+    : roundCurrency(parseFloat(amount));
+
+  if (isNaN(refundAmount) || refundAmount <= 0) {
+    throw createHttpError(400, 'Refund amount must be greater than 0');
+  }
+  if (refundAmount > refundable) {
+    throw createHttpError(400, `Refund amount cannot exceed €${refundable.toFixed(2)}`, {
+      refundableAmount: refundable,
+    });
+  }
+
+  order.refunds.push({
+    amount: refundAmount,
+    reason: reason || '',
+    refundedBy,
+    refundedAt: new Date(),
+  });
+  order.refundedAmount = roundCurrency((order.refundedAmount || 0) + refundAmount);
+  order.paymentStatus = order.refundedAmount >= order.totalAmount ? 'refunded' : 'partially_refunded';
+
+  return order.refunds[order.refunds.length - 1];
+};
+
+/**
+ * Cancel an order, refunding the payment where applicable (does not save)
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {Object} options.user - User cancelling the order
+ * @param {Boolean} options.isAdmin - Whether the user is cancelling as admin
+ * @param {String} [options.reason] - Cancellation reason (required for admins)
+ * @param {Number} [options.refundAmount] - Admin override for the refund amount
+ * @returns {Object|null} The refund entry, if one was issued
+ */
+const applyCancellation = (order, { user, isAdmin, reason, refundAmount }) => {
+  if (!isAdmin && getOrderUserId(order) !== user._id.toString()) {
+    throw createHttpError(403, 'Not authorized to cancel this order');
+  }
+
+  if (!canCancel(order, { isAdmin })) {
+    throw createHttpError(400, order.orderStatus === 'Cancelled'
+      ? 'Order is already cancelled'
+      : 'This order can no longer be cancelled');
+  }
+
+  if (isAdmin && (!reason || !reason.trim())) {
+    throw createHttpError(400, 'Please provide a cancellation reason');
+  }
+
+  const note = reason ? reason.trim() : 'Cancelled by customer';
+  order.setStatus('Cancelled', user._id, note);
+  order.cancelledAt = new Date();
+  order.cancelledBy = user._id;
+  order.cancellationReason = note;
+
+  // Customers always get their money back; admins may refund less (or 0)
+  let refund = null;
+  const wantsRefund = !isAdmin || refundAmount === undefined || parseFloat(refundAmount) > 0;
+  if (wantsRefund && getRefundableAmount(order) > 0) {
+    refund = applyRefund(order, {
+      amount: isAdmin ? refundAmount : undefined,
+      reason: `Order cancelled: ${note}`,
+      refundedBy: user._id,
+    });
+  }
+
+  return refund;
+};
+
+/**
+ * Free up side effects of a cancelled order (offer redemptions, slot capacity,
+ * loyalty points)
+ * @param {Object} order - Cancelled order document
+ */
+const releaseCancelledOrder = async (order) => {
+  if (order.offer) {
+    try {
+      await releaseOfferRedemption(order.offer._id || order.offer, {
+        userId: getOrderUserId(order),
+        email: order.customerEmail,
+      });
+    } catch (error) {
+      console.error('Error releasing offer redemption:', error);
+    }
+  }
+
+  if (order.scheduledFor) {
+    try {
+      await releaseSlot(order.scheduledFor, order.items);
+    } catch (error) {
+      console.error('Error releasing slot capacity:', error);
+    }
+  }
+
+  // Redeemed points go back to the customer; points earned on it are taken back
+  try {
+    await restoreRedeemedPoints(order, 'Order cancelled');
+    await reverseEarnedPoints(order);
+  } catch (error) {
+    console.error('Error releasing loyalty points:', error);
+  }
+};
+
+/**
+ * Emit an order event to the order and user rooms. The order room can be joined
+ * with the public tracking token, so it only ever gets the tracking view of the
+ * order; the full document goes to the owner's user room.
+ * @param {Object} io - Socket.io instance
+ * @param {String} event - Event name
+ * @param {Object} order - Order document
+ * @param {Object} payload - Event payload
+ * @param {Object} [options]
+ * @param {Boolean} [options.withOrder] - Attach the order to the payload
+ */
+const emitToOrderRooms = (io, event, order, payload, { withOrder = false } = {}) => {
+  const orderId = order._id.toString();
+  io.to(`order:${orderId}`).emit(event, withOrder ? { ...payload, order: toTrackingView(order) } : payload);
+
+  const userId = getOrderUserId(order);
+  if (userId) {
+    io.to(`user:${userId}`).emit(event, withOrder ? { ...payload, order } : payload);
+  }
+};
+
+/**
+ * Notify the customer (and admin dashboards) that an order was cancelled
+ * @param {Object} io - Socket.io instance
+ * @param {Object} order - Cancelled order document
+ */
+const emitOrderCancelled = (io, order) => {
+  const orderId = order._id.toString();
+  io.to(ADMIN_ROOM).emit('orderStatusUpdate', {
+    orderId,
+    status: order.orderStatus,
+    statusHistory: order.statusHistory,
+  });
+  emitToOrderRooms(io, 'orderCancelled', order, {
+    orderId,
+    reason: order.cancellationReason,
+    paymentStatus: order.paymentStatus,
+    refundedAmount: order.refundedAmount,
+  }, { withOrder: true });
+  emitTicketUpdate(io, order);
+};
+
+/**
+ * Notify the customer that a refund was issued
+ * @param {Object} io - Socket.io instance
+ * @param {Object} order - Refunded order document
+ * @param {Object} refund - Refund entry
+ */
+const emitOrderRefunded = (io, order, refund) => {
+  emitToOrderRooms(io, 'orderRefunded', order, {
+    orderId: order._id.toString(),
+    amount: refund.amount,
+    refundedAmount: order.refundedAmount,
+    paymentStatus: order.paymentStatus,
+  });
+};
+
+module.exports = {
+  getOrderUserId,
+  getRefundableAmount,
+  applyRefund,
+  applyCancellation,
+  releaseCancelledOrder,
+  emitToOrderRooms,
+  emitOrderCancelled,
+  emitOrderRefunded,
+};
@@ -0,0 +1,76 @@
+// Order Claim
+// Guest orders move into an account only through a link emailed to the address
+// they were placed with (a JWT naming the user and the address), so signing up
+// with someone else's email is not enough to take over their orders.
+
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const { createHttpError } = require('./httpError');
+const { getFrontendUrl, sendTemplate } = require('./mailer');
+
+const CLAIM_PURPOSE = 'claim-orders';
+
+const getTokenTtl = () => process.env.ORDER_CLAIM_TTL || '24h';
+
+/**
+ * Guest orders placed with an email address that are not in any account yet
+ * @param {String} email
+ */
+const getClaimableFilter = (email) => ({ user: null, isGuest: true, customerEmail: email });
+
+/**
+ * Email a claim link for the guest orders placed with the user's address
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { count, sentTo, delivered }
+ */
+const sendClaimEmail = async (user) => {
+  const count = await Order.countDocuments(getClaimableFilter(user.email));
+  if (count === 0) {
+    throw createHttpError(404, 'No guest orders found for your email address');
+  }
+
+  const token = jwt.sign(
+    { id: user._id.toString(), email: user.email, purpose: CLAIM_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: getTokenTtl() }
+  );
+
+  const delivered = await sendTemplate('claimOrders', user.email, {
+    name: user.name,
+    count,
+    url: `${getFrontendUrl()}/claim-orders/${token}`,
+    validFor: getTokenTtl(),
+  });
+  return { count, sentTo: user.email, delivered };
+};
+
+/**
+ * Apply a claim link: move the guest orders into the account it was sent for
+ * @param {Object} user - Logged-in user document
+ * @param {String} token - Token from the link
+ * @returns {Promise<Number>} Number of orders claimed
+ */
+const claimGuestOrders = async (user, token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createHttpError(400, 'Invalid or expired claim link');
+  }
+  if (decoded.purpose !== CLAIM_PURPOSE || decoded.id !== user._id.toString()) {
+    throw createHttpError(400, 'Invalid or expired claim link');
+  }
+  // Links for an address the account no longer uses
+  if (decoded.email !== user.email) {
+    throw createHttpError(400, 'This claim link is no longer valid');
+  }
+
+  const result = await Order.updateMany(getClaimableFilter(decoded.email), { user: user._id });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  getClaimableFilter,
+  sendClaimEmail,
+  claimGuestOrders,
+};
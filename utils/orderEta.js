@@ -0,0 +1,144 @@
+// Order ETA
+// Estimates when an order will be ready and delivered from the kitchen load
+// (Pending/Preparing orders), the items in the order and the delivery distance.
+// The first estimate is kept as the promise so it can be compared with the
+// actual times later.
+
+const Order = require('../models/Order');
+const StoreSettings = require('../models/StoreSettings');
+const { countPizzas } = require('./slotService');
+
+const MINUTE_MS = 60 * 1000;
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + Math.round(minutes) * MINUTE_MS);
+
+const latest = (...dates) => new Date(Math.max(...dates.map((date) => date.getTime())));
+
+/**
+ * When the order last entered a status, from its status history
+ * @param {Object} order - Order document
+ * @param {String[]} statuses
+ * @returns {Date|null}
+ */
+const getStatusTime = (order, statuses) => {
+  const history = order.statusHistory || [];
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    if (statuses.includes(history[i].status)) {
+      return history[i].changedAt;
+    }
+  }
+  return null;
+};
+
+/**
+ * Kitchen time for the order's own items
+ * @param {Array} items - Order items
+ * @param {Object} settings - StoreSettings document
+ */
+const getPrepMinutes = (items, settings) => {
+  const pizzas = countPizzas(items);
+  const allItems = (items || []).reduce((sum, item) => sum + (item.quantity || 0), 0);
+  return settings.basePrepMinutes
+    + pizzas * settings.minutesPerPizza
+    + (allItems - pizzas) * settings.minutesPerItem;
+};
+
+/**
+ * Driving time for a delivery distance
+ * @param {Number} distance - Kilometers
+ * @param {Object} settings - StoreSettings document
+ */
+const getTravelMinutes = (distance, settings) => {
+  return settings.baseDeliveryMinutes + (distance || 0) * settings.deliveryMinutesPerKm;
+};
+
+/**
+ * Number of other orders the kitchen is working on
+ * @param {Object} orderId - Order to leave out of the count
+ */
+const countKitchenLoad = (orderId) => {
+  return Order.countDocuments({
+    _id: { $ne: orderId },
+    orderStatus: { $in: ['Pending', 'Preparing'] },
+    releasedToKitchenAt: { $ne: null },
+  });
+};
+
+/**
+ * Estimate ready and delivery times for the order's current status
+ * @param {Object} order - Order document
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { readyAt, deliveryAt, prepMinutes, travelMinutes, kitchenLoad }
+ */
+const estimateOrderEta = async (order, settings, now = new Date()) => {
+  const prepMinutes = Math.round(getPrepMinutes(order.items, settings));
+  const isDelivery = order.deliveryType === 'delivery';
+  const travelMinutes = isDelivery ? Math.round(getTravelMinutes(order.distance, settings)) : 0;
+
+  if (order.orderStatus === 'Cancelled') {
+    return { readyAt: null, deliveryAt: null, prepMinutes, travelMinutes, kitchenLoad: null };
+  }
+
+  let readyAt;
+  let kitchenLoad = null;
+  if (order.orderStatus === 'Pending') {
+    kitchenLoad = await countKitchenLoad(order._id);
+    readyAt = addMinutes(now, kitchenLoad * settings.minutesPerActiveOrder + prepMinutes);
+    // Pre-orders are cooked for their slot, not earlier
+    if (order.scheduledFor) {
+      readyAt = latest(readyAt, addMinutes(order.scheduledFor, -travelMinutes));
+    }
+  } else if (order.orderStatus === 'Preparing') {
+    const startedAt = getStatusTime(order, ['Preparing']) || now;
+    readyAt = latest(addMinutes(startedAt, prepMinutes), now);
+  } else {
+    readyAt = getStatusTime(order, ['Ready for Pickup', 'Out for Delivery']) || now;
+  }
+
+  let deliveryAt = null;
+  if (isDelivery) {
+    if (order.orderStatus === 'Delivered') {
+      deliveryAt = getStatusTime(order, ['Delivered']) || now;
+    } else if (order.orderStatus === 'Out for Delivery') {
+      deliveryAt = latest(addMinutes(readyAt, travelMinutes), now);
+    } else {
+      deliveryAt = addMinutes(readyAt, travelMinutes);
+    }
+  }
+
+  return { readyAt, deliveryAt, prepMinutes, travelMinutes, kitchenLoad };
+};
+
+/**
+ * Recalculate order.eta (call before saving a new order or a status change)
+ * @param {Object} order - Order document
+ * @param {Object} [settings] - StoreSettings document, loaded when omitted
+ */
+const refreshOrderEta = async (order, settings) => {
+  const storeSettings = settings || await StoreSettings.getSettings();
+  const estimate = await estimateOrderEta(order, storeSettings);
+  const previous = order.eta || {};
+
+  order.eta = {
+    readyAt: estimate.readyAt,
+    deliveryAt: estimate.deliveryAt,
+    // The first estimate is what the customer was promised
+    promisedReadyAt: previous.promisedReadyAt || estimate.readyAt,
+    promisedDeliveryAt: previous.promisedDeliveryAt || estimate.deliveryAt,
+    prepMinutes: estimate.prepMinutes,
+    travelMinutes: estimate.travelMinutes,
+    // Load is only measured while the order waits for the kitchen
+    kitchenLoad: estimate.kitchenLoad !== null ? estimate.kitchenLoad : previous.kitchenLoad,
+    updatedAt: new Date(),
+  };
+  return order.eta;
+};
+
+module.exports = {
+  getStatusTime,
+  getPrepMinutes,
+  getTravelMinutes,
+  estimateOrderEta,
+  refreshOrderEta,
+};
@@ -0,0 +1,37 @@
+// Order Events
+// Socket.io broadcasts shared by every place that changes an order's status.
+
+const { emitTicketUpdate } = require('./kitchenDisplay');
+const { ADMIN_ROOM } = require('./socketAuth');
+const { emitToOrderRooms } = require('./orderCancellation');
+
+/**
+ * Broadcast a status change to admin dashboards, the order's tracking room and its owner
+ * @param {Object} io - Socket.io instance
+ * @param {Object} order - Order document after the change
+ */
+const emitOrderStatusUpdate = (io, order) => {
+  // Convert order._id to string for Socket.io
+  const orderIdString = order._id.toString();
+  const statusUpdate = {
+    orderId: orderIdString,
+    status: order.orderStatus,
+    statusHistory: order.statusHistory,
+    eta: order.eta,
+  };
+
+  // Emit to admin dashboards
+  io.to(ADMIN_ROOM).emit('orderStatusUpdate', statusUpdate);
+  // Emit to the tracking room (redacted, the timeline is in the tracking view)
+  // and the customer's user room
+  emitToOrderRooms(io, 'orderStatusUpdate', order, {
+    orderId: orderIdString,
+    status: order.orderStatus,
+  }, { withOrder: true });
+  // Keep kitchen screens in sync
+  emitTicketUpdate(io, order);
+};
+
+module.exports = {
+  emitOrderStatusUpdate,
+};
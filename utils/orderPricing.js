@@ -0,0 +1,177 @@
+// Order Pricing
+// Builds order items from the product catalog and computes totals on the server.
+// Client-supplied names and prices are never trusted.
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { createHttpError } = require('./httpError');
+
+const MAX_ITEM_QUANTITY = 50;
+
+/**
+ * Round a money amount to cents
+ * @param {Number} amount
+ */
+const roundCurrency = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Resolve the chosen size/variant of a product
+ * @param {Object} product - Product document
+ * @param {String} [variantId] - Variant chosen by the customer
+ */
+const resolveVariant = (product, variantId) => {
+  if (!product.variants || product.variants.length === 0) {
+    if (variantId) {
+      throw createHttpError(400, `${product.name} has no sizes to choose from`);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    return product.variants.find((variant) => variant.isDefault) || product.variants[0];
+  }
+
+  const variant = product.variants.find((v) => v._id.toString() === variantId.toString());
+  if (!variant) {
+    throw createHttpError(400, `Invalid size selected for ${product.name}`);
+  }
+  return variant;
+};
+
+/**
+ * Resolve the chosen modifier options of a product and enforce min/max rules
+ * @param {Object} product - Product document
+ * @param {Array} [optionIds] - Modifier option IDs chosen by the customer
+ */
+const resolveModifiers = (product, optionIds) => {
+  const selectedIds = (Array.isArray(optionIds) ? optionIds : []).map((id) => String(id && id._id ? id._id : id));
+  if (new Set(selectedIds).size !== selectedIds.length) {
+    throw createHttpError(400, `Duplicate options selected for ${product.name}`);
+  }
+
+  const groups = product.modifierGroups || [];
+  const modifiers = [];
+
+  groups.forEach((group) => {
+    const chosen = group.options.filter((option) => selectedIds.includes(option._id.toString()));
+    if (chosen.length < group.minSelect) {
+      throw createHttpError(400, `Please choose at least ${group.minSelect} option(s) for "${group.name}" on ${product.name}`);
+    }
+    if (chosen.length > group.maxSelect) {
+      throw createHttpError(400, `Please choose at most ${group.maxSelect} option(s) for "${group.name}" on ${product.name}`);
+    }
+    chosen.forEach((option) => {
+      modifiers.push({
+        groupId: group._id,
+        groupName: group.name,
+        optionId: option._id,
+        name: option.name,
+        priceDelta: option.priceDelta || 0,
+      });
+    });
+  });
+
+  if (modifiers.length !== selectedIds.length) {
+    throw createHttpError(400, `Invalid options selected for ${product.name}`);
+  }
+
+  return modifiers;
+};
+
+/**
+ * Human readable size and modifier lines for an order item (print view, kitchen)
+ * @param {Object} item - Order item
+ * @returns {String[]}
+ */
+const describeItemOptions = (item) => {
+  const lines = [];
+  if (item.variant && item.variant.name) {
+    lines.push(item.variant.name);
+  }
+
+  const byGroup = new Map();
+  (item.modifiers || []).forEach((modifier) => {
+    if (!byGroup.has(modifier.groupName)) byGroup.set(modifier.groupName, []);
+    byGroup.get(modifier.groupName).push(modifier.name);
+  });
+  byGroup.forEach((names, groupName) => {
+    lines.push(`${groupName}: ${names.join(', ')}`);
+  });
+
+  return lines;
+};
+
+/**
+ * Look up every cart item in the catalog and snapshot name, price and image
+ * @param {Array} items - Cart items from the request ({ product, quantity, variantId, modifiers })
+ * @returns {Promise<{ items: Array, subtotal: Number }>}
+ */
+const buildOrderItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, 'Order must contain at least one item');
+  }
+
+  const productIds = [];
+  for (const item of items) {
+    const productId = item && (item.product && item.product._id ? item.product._id : item.product);
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      throw createHttpError(400, 'Invalid product in order items');
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+      throw createHttpError(400, `Quantity must be a whole number between 1 and ${MAX_ITEM_QUANTITY}`);
+    }
+
+    productIds.push(productId.toString());
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  let subtotal = 0;
+  const orderItems = items.map((item, index) => {
+    const product = productsById.get(productIds[index]);
+    if (!product) {
+      throw createHttpError(400, 'One or more products are no longer available', {
+        productId: productIds[index],
+      });
+    }
+
+    const variant = resolveVariant(product, item.variantId);
+    const modifiers = resolveModifiers(product, item.modifiers);
+    const basePrice = variant ? variant.price : product.price;
+    const unitPrice = roundCurrency(basePrice + modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, 0));
+    if (unitPrice < 0) {
+      throw createHttpError(400, `Invalid options selected for ${product.name}`);
+    }
+
+    const quantity = Number(item.quantity);
+    const lineTotal = roundCurrency(unitPrice * quantity);
+    subtotal += lineTotal;
+
+    return {
+      product: product._id,
+      name: product.name,
+      category: product.category,
+      price: unitPrice,
+      quantity,
+      image: product.image,
+      variant: variant ? { variantId: variant._id, name: variant.name, price: variant.price } : undefined,
+      modifiers,
+      lineTotal,
+    };
+  });
+
+  return {
+    items: orderItems,
+    subtotal: roundCurrency(subtotal),
+  };
+};
+
+module.exports = {
+  MAX_ITEM_QUANTITY,
+  roundCurrency,
+  describeItemOptions,
+  buildOrderItems,
+};
@@ -0,0 +1,86 @@
+// Order Status
+// Allowed status transitions for pickup and delivery orders, and payment states.
+
+const ORDER_STATUSES = ['Pending', 'Preparing', 'Ready for Pickup', 'Out for Delivery', 'Delivered', 'Cancelled'];
+
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded', 'partially_refunded'];
+
+// Card and PayPal are paid online; cash is settled at the counter or at the door
+const PAYMENT_METHODS = ['card', 'paypal', 'cash'];
+const ONLINE_PAYMENT_METHODS = ['card', 'paypal'];
+
+// Payment states that still have money left to refund
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+// Customers may only cancel before the kitchen starts on the order
+const CUSTOMER_CANCELLABLE_STATUSES = ['Pending'];
+
+// Each status maps to the statuses it may move to next.
+// Cancellation is handled separately (see canCancel).
+const STATUS_TRANSITIONS = {
+  pickup: {
+    Pending: ['Preparing'],
+    Preparing: ['Ready for Pickup'],
+    'Ready for Pickup': ['Delivered'],
+    Delivered: [],
+  },
+  delivery: {
+    Pending: ['Preparing'],
+    Preparing: ['Out for Delivery'],
+    'Out for Delivery': ['Delivered'],
+    Delivered: [],
+  },
+};
+
+/**
+ * Get the statuses an order may move to from its current status
+ * @param {Object} order - Order (needs deliveryType and orderStatus)
+ * @returns {String[]}
+ */
+const getAllowedTransitions = (order) => {
+  const transitions = STATUS_TRANSITIONS[order.deliveryType] || STATUS_TRANSITIONS.pickup;
+  return transitions[order.orderStatus] || [];
+};
+
+/**
+ * Check whether an order may move to the given status
+ * @param {Object} order - Order (needs deliveryType and orderStatus)
+ * @param {String} nextStatus - Requested status
+ */
+const canTransition = (order, nextStatus) => {
+  return getAllowedTransitions(order).includes(nextStatus);
+};
+
+/**
+ * Check whether a user may cancel an order
+ * @param {Object} order - Order (needs orderStatus)
+ * @param {Object} options
+ * @param {Boolean} options.isAdmin - Admins may cancel at any stage
+ */
+const canCancel = (order, { isAdmin }) => {
+  if (order.orderStatus === 'Cancelled') return false;
+  if (isAdmin) return true;
+  return CUSTOMER_CANCELLABLE_STATUSES.includes(order.orderStatus);
+};
+
+/**
+ * Check whether an order may go to the kitchen payment-wise:
+ * online orders once paid, cash orders straight away
+ * @param {Object} order - Order (needs paymentMethod and paymentStatus)
+ */
+const isPaymentCleared = (order) => {
+  return order.paymentMethod === 'cash' || order.paymentStatus === 'completed';
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+  PAYMENT_METHODS,
+  ONLINE_PAYMENT_METHODS,
+  REFUNDABLE_PAYMENT_STATUSES,
+  STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  canCancel,
+  isPaymentCleared,
+};
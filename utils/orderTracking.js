@@ -0,0 +1,45 @@
+// Order Tracking
+// Redacted view of an order for the public tracking page. Anyone holding the
+// tracking token sees it, so it leaves out personal and payment details.
+
+const { describeItemOptions } = require('./orderPricing');
+
+/**
+ * @param {Object} order - Order document
+ */
+const toTrackingView = (order) => {
+  const enRoute = order.orderStatus === 'Out for Delivery';
+
+  return {
+    orderId: order._id,
+    orderStatus: order.orderStatus,
+    deliveryType: order.deliveryType,
+    createdAt: order.createdAt,
+    scheduledFor: order.scheduledFor,
+    timeline: (order.statusHistory || []).map((entry) => ({
+      status: entry.status,
+      changedAt: entry.changedAt,
+    })),
+    eta: order.eta ? {
+      readyAt: order.eta.readyAt,
+      deliveryAt: order.eta.deliveryAt,
+    } : null,
+    items: order.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      options: describeItemOptions(item),
+    })),
+    // The driver's position is only shared while the order is on its way
+    driverLocation: enRoute && order.driverLocation && order.driverLocation.lat !== undefined
+      ? {
+        lat: order.driverLocation.lat,
+        lng: order.driverLocation.lng,
+        updatedAt: order.driverLocation.updatedAt,
+      }
+      : null,
+  };
+};
+
+module.exports = {
+  toTrackingView,
+};
@@ -0,0 +1,59 @@
+// Password Policy
+// Strength rules for staff passwords (and the account created by
+// scripts/createAdmin.js). Customer passwords are not checked here.
+
+const MIN_LENGTH = 12;
+
+// Defaults and the most guessed passwords
+const COMMON_PASSWORDS = [
+  'admin123',
+  'admin1234',
+  'administrator',
+  'password',
+  'password1',
+  'password123',
+  'passwort',
+  'qwertz123',
+  'qwerty123',
+  '123456789012',
+  'pizza123',
+  'americanpizza',
+  'letmein123',
+  'welcome123',
+];
+
+/**
+ * Check a password against the staff policy
+ * @param {String} password
+ * @param {Object} [user] - { email, name } the password must not contain
+ * @returns {String|null} What is wrong, or null when the password is fine
+ */
+const checkPasswordStrength = (password, user = {}) => {
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+
+  if (value.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters`;
+  }
+  if (COMMON_PASSWORDS.some((common) => lower.includes(common))) {
+    return 'Password is too common';
+  }
+  if (!/[a-zA-Z]/.test(value) || !/[^a-zA-Z]/.test(value)) {
+    return 'Password must mix letters with digits or symbols';
+  }
+
+  const emailName = user.email ? String(user.email).split('@')[0].toLowerCase() : '';
+  if (emailName.length >= 3 && lower.includes(emailName)) {
+    return 'Password must not contain your email address';
+  }
+  const name = user.name ? String(user.name).toLowerCase() : '';
+  if (name.length >= 3 && lower.includes(name)) {
+    return 'Password must not contain your name';
+  }
+  return null;
+};
+
+module.exports = {
+  MIN_LENGTH,
+  checkPasswordStrength,
+};
@@ -0,0 +1,73 @@
+// Fake payment provider
+// Local stand-in for development and tests. Intents are never charged; a
+// payment is confirmed by POSTing { "type": "succeeded" | "failed", "intentId" }
+// to /api/payments/webhook/fake with an X-Payment-Signature header holding the
+// hex HMAC-SHA256 of the raw body, keyed with PAYMENT_WEBHOOK_SECRET.
+
+const crypto = require('crypto');
+const { createHttpError } = require('../httpError');
+
+/**
+ * Sign a webhook body the way the fake provider expects
+ * @param {String|Buffer} body - Raw JSON body
+ */
+const signPayload = (body) => {
+  return crypto.createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET || '').update(body).digest('hex');
+};
+
+const createPaymentIntent = async ({ orderId }) => {
+  const intentId = `fake_pi_${crypto.randomBytes(12).toString('hex')}`;
+  return {
+    intentId,
+    clientSecret: `${intentId}_secret_${orderId}`,
+  };
+};
+
+// Fake intents are never charged, so they can always be cancelled
+const cancelPaymentIntent = async () => {};
+
+// Nothing was charged, so there is nothing to pay back
+const refund = async () => ({
+  refundId: `fake_re_${crypto.randomBytes(12).toString('hex')}`,
+});
+
+/**
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {Object} headers - Request headers
+ */
+const parseWebhook = (rawBody, headers) => {
+  const header = headers['x-payment-signature'];
+  if (!process.env.PAYMENT_WEBHOOK_SECRET || !header || !rawBody) {
+    throw createHttpError(400, 'Invalid webhook signature');
+  }
+
+  const expected = Buffer.from(signPayload(rawBody), 'hex');
+  const signature = Buffer.from(header, 'hex');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw createHttpError(400, 'Invalid webhook signature');
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw createHttpError(400, 'Invalid webhook payload');
+  }
+  if (!['succeeded', 'failed'].includes(event.type) || !event.intentId) {
+    return null;
+  }
+  return {
+    type: event.type,
+    intentId: event.intentId,
+    failureReason: event.type === 'failed' ? event.failureReason || 'Payment failed' : undefined,
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  signPayload,
+  createPaymentIntent,
+  cancelPaymentIntent,
+  refund,
+  parseWebhook,
+};
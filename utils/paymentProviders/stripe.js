@@ -0,0 +1,160 @@
+// Stripe payment adapter
+// Card and PayPal payments through Stripe PaymentIntents (STRIPE_SECRET_KEY).
+// Webhooks are verified with STRIPE_WEBHOOK_SECRET.
+
+const crypto = require('crypto');
+const { createHttpError } = require('../httpError');
+
+const API_URL = 'https://api.stripe.com/v1';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Reject webhook signatures older than this (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * POST a form-encoded request to the Stripe API
+ * @param {String} path
+ * @param {Object} params - Flat key/value pairs (nested keys already bracketed)
+ * @param {Object} [options]
+ * @param {String} [options.failureMessage] - Message for requests Stripe refuses
+ * @param {String} [options.idempotencyKey] - Makes retried requests safe
+ */
+const stripeRequest = async (path, params, {
+  failureMessage = 'Payment could not be started. Please try again.',
+  idempotencyKey,
+} = {}) => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw createHttpError(500, 'Stripe is not configured. Please set STRIPE_SECRET_KEY.');
+  }
+
+  let response;
+  try {
+    response = await fetch(`${API_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+      },
+      body: new URLSearchParams(params).toString(),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw createHttpError(502, 'Payment provider is temporarily unavailable. Please try again.', {
+      code: 'PAYMENT_PROVIDER_UNAVAILABLE',
+    });
+  }
+
+  const body = await response.json();
+  if (!response.ok) {
+    console.error('Stripe request failed:', body.error && body.error.message);
+    throw createHttpError(502, failureMessage, {
+      code: 'PAYMENT_PROVIDER_ERROR',
+    });
+  }
+  return body;
+};
+
+/**
+ * @param {Object} options
+ * @param {Number} options.amount - Amount in euros
+ * @param {String} options.method - card or paypal
+ * @param {String} options.orderId
+ * @param {String} options.customerEmail
+ */
+const createPaymentIntent = async ({ amount, method, orderId, customerEmail }) => {
+  const intent = await stripeRequest('/payment_intents', {
+    amount: String(Math.round(amount * 100)),
+    currency: 'eur',
+    'payment_method_types[]': method,
+    receipt_email: customerEmail,
+    'metadata[orderId]': orderId,
+  });
+
+  return {
+    intentId: intent.id,
+    clientSecret: intent.client_secret,
+  };
+};
+
+/**
+ * Cancel an intent before it is replaced. Stripe refuses this once the
+ * payment succeeded or is processing, so it can't be charged twice.
+ * @param {String} intentId
+ */
+const cancelPaymentIntent = async (intentId) => {
+  await stripeRequest(`/payment_intents/${encodeURIComponent(intentId)}/cancel`, {}, {
+    failureMessage: 'The previous payment attempt is still being processed. Please try again shortly.',
+  });
+};
+
+/**
+ * Refund (part of) a charged intent
+ * @param {Object} options
+ * @param {String} options.intentId - Intent that was charged
+ * @param {Number} options.amount - Amount in euros
+ * @param {String} options.orderId
+ * @param {String} options.idempotencyKey
+ */
+const refund = async ({ intentId, amount, orderId, idempotencyKey }) => {
+  const result = await stripeRequest('/refunds', {
+    payment_intent: intentId,
+    amount: String(Math.round(amount * 100)),
+    'metadata[orderId]': orderId,
+  }, {
+    failureMessage: 'The refund could not be issued. Please try again.',
+    idempotencyKey,
+  });
+  return { refundId: result.id };
+};
+
+/**
+ * Verify the Stripe-Signature header and translate the event
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {Object} headers - Request headers
+ * @returns {{ type: String, intentId: String, failureReason: String }|null} null for events we ignore
+ */
+const parseWebhook = (rawBody, headers) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  const header = headers['stripe-signature'];
+  if (!secret || !header || !rawBody) {
+    throw createHttpError(400, 'Invalid webhook signature');
+  }
+
+  const parts = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${rawBody}`).digest('hex');
+  const signature = Buffer.from(parts.v1 || '', 'hex');
+  const valid = signature.length === expected.length / 2
+    && crypto.timingSafeEqual(signature, Buffer.from(expected, 'hex'));
+  if (!valid || isNaN(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw createHttpError(400, 'Invalid webhook signature');
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw createHttpError(400, 'Invalid webhook payload');
+  }
+  const intent = event.data && event.data.object;
+  if (event.type === 'payment_intent.succeeded') {
+    return { type: 'succeeded', intentId: intent.id };
+  }
+  if (event.type === 'payment_intent.payment_failed') {
+    return {
+      type: 'failed',
+      intentId: intent.id,
+      failureReason: intent.last_payment_error ? intent.last_payment_error.message : 'Payment failed',
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  name: 'stripe',
+  createPaymentIntent,
+  cancelPaymentIntent,
+  refund,
+  parseWebhook,
+};
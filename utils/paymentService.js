@@ -0,0 +1,269 @@
+// Payment Service
+// Starts payments for new orders through the configured provider
+// (PAYMENT_PROVIDER: stripe or fake; fake is only the default outside
+// production) and applies the provider's signed webhooks. Orders only reach the kitchen once paid; cash orders stay
+// pending until they are settled at the counter or at the door.
+
+const Order = require('../models/Order');
+const StoreSettings = require('../models/StoreSettings');
+const { createHttpError } = require('./httpError');
+const { ONLINE_PAYMENT_METHODS } = require('./orderStatus');
+const { applyRefund, emitToOrderRooms } = require('./orderCancellation');
+const { isDueForKitchen, releaseOrderToKitchen } = require('./kitchenDispatch');
+const { ADMIN_ROOM } = require('./socketAuth');
+
+const PROVIDERS = {
+  stripe: require('./paymentProviders/stripe'),
+  fake: require('./paymentProviders/fake'),
+};
+
+/**
+ * The payment provider for new payments, or a named one (webhooks)
+ * @param {String} [name]
+ */
+const getPaymentProvider = (name) => {
+  if (!name && !process.env.PAYMENT_PROVIDER && process.env.NODE_ENV === 'production') {
+    // Falling back to fake would leave every online order pending
+    throw createHttpError(500, 'No payment provider configured. Please set PAYMENT_PROVIDER.');
+  }
+  const providerName = (name || process.env.PAYMENT_PROVIDER || 'fake').toLowerCase();
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw createHttpError(name ? 404 : 500, `Unknown payment provider "${providerName}"`);
+  }
+  return provider;
+};
+
+/**
+ * Check at startup that new payments can be taken (throws when they can't)
+ * @returns {String} Name of the provider
+ */
+const assertPaymentConfig = () => {
+  const provider = getPaymentProvider();
+  if (provider.name === 'stripe' && !process.env.STRIPE_SECRET_KEY) {
+    throw createHttpError(500, 'Stripe is not configured. Please set STRIPE_SECRET_KEY.');
+  }
+  return provider.name;
+};
+
+/**
+ * Create a payment intent for an online order (call before saving the order)
+ * @param {Object} order - New order document
+ * @returns {Promise<Object|null>} Details the client needs to pay, null for cash
+ */
+const startPayment = async (order) => {
+  order.paymentStatus = 'pending';
+  if (!ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+    order.payment = { provider: 'cash' };
+    return null;
+  }
+
+  const provider = getPaymentProvider();
+  const intent = await provider.createPaymentIntent({
+    amount: order.totalAmount,
+    method: order.paymentMethod,
+    orderId: order._id.toString(),
+    customerEmail: order.customerEmail,
+  });
+
+  order.payment = {
+    provider: provider.name,
+    intentId: intent.intentId,
+  };
+  return {
+    provider: provider.name,
+    intentId: intent.intentId,
+    clientSecret: intent.clientSecret,
+  };
+};
+
+/**
+ * Tell the customer and admin dashboards about a payment change
+ * @param {Object} io - Socket.io instance
+ * @param {Object} order - Order document
+ */
+const emitPaymentUpdate = (io, order) => {
+  const payload = {
+    orderId: order._id.toString(),
+    paymentStatus: order.paymentStatus,
+    failureReason: order.payment && order.payment.failureReason,
+  };
+  io.to(ADMIN_ROOM).emit('paymentStatusUpdate', payload);
+  emitToOrderRooms(io, 'paymentStatusUpdate', order, payload);
+};
+
+/**
+ * Mark an order paid and send it to the kitchen when it is due
+ * @param {Object} io - Socket.io instance
+ * @param {Object} order - Order document
+ * @param {String} intentId - Intent that was charged
+ */
+const completePayment = async (io, order, intentId) => {
+  order.paymentStatus = 'completed';
+  order.set('payment.paidAt', new Date());
+  order.set('payment.paidIntentId', intentId);
+  order.set('payment.failureReason', undefined);
+  await order.save();
+
+  if (order.orderStatus === 'Cancelled') {
+    // Paid while it was being cancelled: pay it straight back
+    try {
+      const refund = applyRefund(order, { reason: 'Paid after the order was cancelled' });
+      await refundPayment(order, refund);
+      await order.save();
+    } catch (error) {
+      console.error(`Order ${order._id} was paid after it was cancelled and needs a refund:`, error);
+    }
+  } else {
+    const settings = await StoreSettings.getSettings();
+    if (isDueForKitchen(order, settings)) {
+      await releaseOrderToKitchen(io, order);
+    }
+  }
+  emitPaymentUpdate(io, order);
+};
+
+/**
+ * Verify a provider webhook and apply it to the order
+ * @param {Object} io - Socket.io instance
+ * @param {String} providerName - Provider from the webhook URL
+ * @param {Buffer} rawBody - Unparsed request body (needed for the signature)
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object|null>} The updated order, null for ignored events
+ */
+const handlePaymentWebhook = async (io, providerName, rawBody, headers) => {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.parseWebhook(rawBody, headers);
+  if (!event) return null;
+
+  const order = await Order.findOne({
+    'payment.provider': provider.name,
+    $or: [{ 'payment.intentId': event.intentId }, { 'payment.previousIntentIds': event.intentId }],
+  });
+  if (!order) {
+    // Intents created outside this shop
+    console.warn(`Payment webhook for unknown intent ${event.intentId}`);
+    return null;
+  }
+
+  const { paidIntentId } = order.payment;
+  if (event.type === 'succeeded' && paidIntentId && paidIntentId !== event.intentId) {
+    console.warn(`Order ${order._id} was paid twice (intent ${event.intentId}) and needs a refund`);
+    return order;
+  }
+  // A replaced attempt: only a success that got through before it was cancelled matters
+  if (order.payment.intentId !== event.intentId && event.type !== 'succeeded') {
+    return order;
+  }
+
+  // Providers retry webhooks; only pending payments can change
+  if (order.paymentStatus !== 'pending' && order.paymentStatus !== 'failed') {
+    return order;
+  }
+
+  if (event.type === 'succeeded') {
+    await completePayment(io, order, event.intentId);
+  } else {
+    order.paymentStatus = 'failed';
+    order.set('payment.failureReason', event.failureReason);
+    await order.save();
+    emitPaymentUpdate(io, order);
+  }
+  return order;
+};
+
+/**
+ * Start a new payment attempt for an unpaid online order
+ * @param {Object} order - Order document
+ */
+const retryPayment = async (order) => {
+  if (!ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+    throw createHttpError(400, 'Cash orders are paid at the counter or at the door');
+  }
+  if (!['pending', 'failed'].includes(order.paymentStatus)) {
+    throw createHttpError(400, `Payment is already ${order.paymentStatus}`);
+  }
+  if (order.orderStatus === 'Cancelled') {
+    throw createHttpError(400, 'This order was cancelled');
+  }
+
+  // Cancel the previous intent first, so only one attempt can be charged
+  const { provider, intentId, previousIntentIds = [] } = order.payment || {};
+  if (intentId) {
+    await getPaymentProvider(provider).cancelPaymentIntent(intentId);
+  }
+
+  const previous = intentId ? [...previousIntentIds, intentId] : [...previousIntentIds];
+  const payment = await startPayment(order);
+  order.set('payment.previousIntentIds', previous);
+  await order.save();
+  return payment;
+};
+
+/**
+ * Pay a recorded refund back through the payment provider (call before saving
+ * the order, so a refused refund isn't recorded). Cash is paid back by hand.
+ * @param {Object} order - Order document
+ * @param {Object} refund - Refund entry from applyRefund
+ */
+const refundPayment = async (order, refund) => {
+  if (!ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) return;
+
+  const { provider, intentId, paidIntentId } = order.payment || {};
+  const result = await getPaymentProvider(provider).refund({
+    intentId: paidIntentId || intentId,
+    amount: refund.amount,
+    orderId: order._id.toString(),
+    idempotencyKey: `refund-${refund._id}`,
+  });
+  refund.providerRefundId = result.refundId;
+};
+
+/**
+ * Cancel the open payment attempt of an unpaid online order that is being
+ * cancelled (call before saving the order), so it can't be paid afterwards.
+ * Replaced attempts were already cancelled by retryPayment.
+ * @param {Object} order - Order document
+ */
+const cancelOpenPayment = async (order) => {
+  if (!ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) return;
+  if (!['pending', 'failed'].includes(order.paymentStatus)) return;
+
+  const { provider, intentId } = order.payment || {};
+  if (intentId) {
+    await getPaymentProvider(provider).cancelPaymentIntent(intentId);
+  }
+};
+
+/**
+ * Record a cash payment and notify clients
+ * @param {Object} io - Socket.io instance
+ * @param {Object} order - Order document
+ * @param {Object} user - Staff member or driver who took the money
+ */
+const settleCashPayment = async (io, order, user) => {
+  if (order.paymentMethod !== 'cash') {
+    throw createHttpError(400, 'Only cash orders are settled by hand');
+  }
+  if (order.paymentStatus !== 'pending') {
+    throw createHttpError(400, `Payment is already ${order.paymentStatus}`);
+  }
+
+  order.paymentStatus = 'completed';
+  order.set('payment.paidAt', new Date());
+  order.set('payment.settledBy', user._id);
+  await order.save();
+  emitPaymentUpdate(io, order);
+  return order;
+};
+
+module.exports = {
+  getPaymentProvider,
+  assertPaymentConfig,
+  startPayment,
+  handlePaymentWebhook,
+  retryPayment,
+  refundPayment,
+  cancelOpenPayment,
+  settleCashPayment,
+};
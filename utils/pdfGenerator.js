@@ -1,6 +1,8 @@
 // PDF Generation Utility
 // Note: This is a simplified version. For production, use libraries like pdfkit or puppeteer
 
+const { describeItemOptions } = require('./orderPricing');
+
 const generateOrderPDF = (order) => {
   // This is a template function
   // In production, use a library like pdfkit or puppeteer to generate actual PDFs
@@ -44,6 +46,11 @@ const generateOrderPDF = (order) => {
       background-color: #f2f2f2;
       font-weight: bold;
     }
+    .item-option {
+      color: #555;
+      font-size: 13px;
+      margin-top: 4px;
+    }
     .total {
       text-align: right;
       font-size: 18px;
@@ -88,7 +95,10 @@ const generateOrderPDF = (order) => {
     <tbody>
       ${order.items.map(item => `
         <tr>
-          <td>${item.name}</td>
+          <td>
+            <strong>${item.name}</strong>
+            ${describeItemOptions(item).map(line => `<div class="item-option">${line}</div>`).join('')}
+          </td>
           <td>${item.quantity}</td>
           <td>$${item.price.toFixed(2)}</td>
           <td>$${(item.price * item.quantity).toFixed(2)}</td>
@@ -98,8 +108,10 @@ const generateOrderPDF = (order) => {
   </table>
   
   <div class="total">
-    ${order.deliveryCharge > 0 ? `<p>Subtotal: $${(order.totalAmount - order.deliveryCharge).toFixed(2)}</p>
-    <p>Delivery Charge: $${order.deliveryCharge.toFixed(2)}</p>` : ''}
+    ${order.deliveryCharge > 0 || order.discountAmount > 0 ? `<p>Subtotal: $${(order.subtotal || order.totalAmount - order.deliveryCharge).toFixed(2)}</p>` : ''}
+    ${order.offerDiscount > 0 ? `<p>Discount${order.offerCode ? ` (${order.offerCode})` : ''}: -$${order.offerDiscount.toFixed(2)}</p>` : ''}
+    ${order.loyalty && order.loyalty.redeemedDiscount > 0 ? `<p>Loyalty points (${order.loyalty.pointsRedeemed}): -$${order.loyalty.redeemedDiscount.toFixed(2)}</p>` : ''}
+    ${order.deliveryCharge > 0 ? `<p>Delivery Charge: $${order.deliveryCharge.toFixed(2)}</p>` : ''}
     <p>Total Amount: $${order.totalAmount.toFixed(2)}</p>
   </div>
   
@@ -195,6 +207,10 @@ const generateSalesReportPDF = (reportData) => {
       <h3>Delivery Charges</h3>
       <p style="font-size: 24px; font-weight: bold;">$${reportData.summary.totalDeliveryCharges.toFixed(2)}</p>
     </div>
+    <div class="summary-card">
+      <h3>Refunds</h3>
+      <p style="font-size: 24px; font-weight: bold;">$${(reportData.summary.totalRefunds || 0).toFixed(2)}</p>
+    </div>
   </div>
   
   <h2>Order Status Breakdown</h2>
@@ -205,8 +221,10 @@ const generateSalesReportPDF = (reportData) => {
     </tr>
     <tr><td>Pending</td><td>${reportData.summary.statusCounts.Pending}</td></tr>
     <tr><td>Preparing</td><td>${reportData.summary.statusCounts.Preparing}</td></tr>
+    <tr><td>Ready for Pickup</td><td>${reportData.summary.statusCounts['Ready for Pickup'] || 0}</td></tr>
     <tr><td>Out for Delivery</td><td>${reportData.summary.statusCounts['Out for Delivery']}</td></tr>
     <tr><td>Delivered</td><td>${reportData.summary.statusCounts.Delivered}</td></tr>
+    <tr><td>Cancelled</td><td>${reportData.summary.statusCounts.Cancelled || 0}</td></tr>
   </table>
   
   <h2>Order Details</h2>
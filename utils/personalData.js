@@ -0,0 +1,278 @@
+// Personal Data
+// GDPR requests: a machine-readable export of everything stored about a
+// customer, account deletion and the retention job for guest orders. Orders
+// are never deleted because the amounts are needed for bookkeeping; instead
+// their personal fields (name, email, phone, addresses, delivery proof, notes
+// and cancellation reasons) are blanked and the customer's addresses are
+// dropped from the geocoding cache. Reviews keep their rating and text but
+// lose the author.
+
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const OfferRedemption = require('../models/OfferRedemption');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const StoreSettings = require('../models/StoreSettings');
+const User = require('../models/User');
+const { getUserRoles, isStaff } = require('../config/permissions');
+const { createHttpError } = require('./httpError');
+const { formatAddress } = require('./addressBook');
+const { forgetCachedAddresses } = require('./geocoder');
+const { getPublicIdFromUrl, deleteImage } = require('./imageUpload');
+const { getCustomerKeys } = require('./offerService');
+const { ORDER_STATUSES } = require('./orderStatus');
+const { revokeUserSessions } = require('./sessionService');
+const { disconnectSessions } = require('./socketAuth');
+
+// Stands in for the customer on anonymized orders and reviews
+const ANONYMIZED_NAME = 'Anonymized customer';
+const ANONYMIZED_EMAIL = 'deleted@anonymized.invalid';
+
+// Orders in any other status may still need the customer's contact details
+const CLOSED_ORDER_STATUSES = ['Delivered', 'Cancelled'];
+const OPEN_ORDER_STATUSES = ORDER_STATUSES.filter((status) => !CLOSED_ORDER_STATUSES.includes(status));
+
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Current state of each consent (the latest entry per purpose)
+ * @param {Object} user - User document
+ * @returns {Object} e.g. { 'marketing-emails': { granted, recordedAt } }
+ */
+const getConsents = (user) => {
+  const current = {};
+  (user.consents || []).forEach((consent) => {
+    current[consent.purpose] = { granted: consent.granted, recordedAt: consent.recordedAt };
+  });
+  return current;
+};
+
+/**
+ * Add a consent decision to the user's consent history (saved by the caller)
+ * @param {Object} user - User document
+ * @param {String} purpose - e.g. 'marketing-emails'
+ * @param {Boolean} granted
+ * @param {String} [ip]
+ */
+const recordConsent = (user, purpose, granted, ip) => {
+  user.consents.push({ purpose, granted, recordedAt: new Date(), ip });
+};
+
+/**
+ * Orders belonging to a user: their own plus guest orders placed with their
+ * (verified) email that were never claimed
+ * @param {Object} user - User document
+ */
+const getUserOrderFilter = (user) => {
+  if (!user.emailVerified) return { user: user._id };
+  return {
+    $or: [
+      { user: user._id },
+      { user: null, isGuest: true, customerEmail: user.email },
+    ],
+  };
+};
+
+/**
+ * Everything stored about a user, as plain JSON
+ * @param {Object} user - User document
+ */
+const buildUserExport = async (user) => {
+  const [orders, reviews, sessions, loyalty] = await Promise.all([
+    Order.find(getUserOrderFilter(user)).select('-__v -kitchenTicket').sort({ createdAt: 1 }).lean(),
+    Review.find({ user: user._id }).select('-__v').sort({ createdAt: 1 }).lean(),
+    Session.find({ user: user._id }).select('-__v -refreshTokenHash').sort({ createdAt: 1 }).lean(),
+    LoyaltyTransaction.find({ user: user._id }).select('-__v -user').sort({ createdAt: 1 }).lean(),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      pendingEmail: user.pendingEmail || null,
+      phone: user.phone || null,
+      roles: getUserRoles(user),
+      twoFactorEnabled: user.twoFactor.enabled,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    consents: {
+      current: getConsents(user),
+      history: (user.consents || []).map((consent) => ({
+        purpose: consent.purpose,
+        granted: consent.granted,
+        recordedAt: consent.recordedAt,
+        ip: consent.ip || null,
+      })),
+    },
+    addresses: user.addresses.map((address) => address.toObject()),
+    orders,
+    reviews,
+    sessions,
+    loyalty: {
+      balance: user.loyaltyPoints || 0,
+      ledger: loyalty,
+    },
+  };
+};
+
+/**
+ * Delete the delivery photos and signatures of orders from Cloudinary
+ * @param {Object} filter - Order query
+ */
+const deleteProofImages = async (filter) => {
+  const orders = await Order.find({
+    $and: [filter, {
+      $or: [
+        { 'proofOfDelivery.photoUrl': { $nin: [null, ''] } },
+        { 'proofOfDelivery.signatureUrl': { $nin: [null, ''] } },
+      ],
+    }],
+  }).select('proofOfDelivery');
+
+  for (const order of orders) {
+    const proof = order.proofOfDelivery;
+    const publicIds = [
+      proof.photoUrl && (proof.photoPublicId || getPublicIdFromUrl(proof.photoUrl)),
+      proof.signatureUrl && (proof.signaturePublicId || getPublicIdFromUrl(proof.signatureUrl)),
+    ].filter(Boolean);
+    // Throws before anything is blanked, so a failed deletion is retried next time
+    for (const publicId of publicIds) {
+      await deleteImage(publicId);
+    }
+  }
+};
+
+/**
+ * Blank the personal fields of orders, keeping items and amounts
+ * @param {Object} filter - Order query
+ * @returns {Promise<Number>} Orders anonymized
+ */
+const anonymizeOrders = async (filter) => {
+  const pending = { ...filter, anonymizedAt: null };
+  await deleteProofImages(pending);
+  await forgetCachedAddresses(await Order.distinct('address', pending));
+
+  // Timeline notes can hold the driver's note from the door or a cancellation reason
+  await Order.updateMany(
+    { ...pending, 'statusHistory.0': { $exists: true } },
+    { $set: { 'statusHistory.$[].note': '' } }
+  );
+
+  const result = await Order.updateMany(
+    pending,
+    {
+      $set: {
+        user: null,
+        customerName: ANONYMIZED_NAME,
+        customerEmail: ANONYMIZED_EMAIL,
+        customerPhone: '',
+        address: '',
+        cancellationReason: '',
+        anonymizedAt: new Date(),
+      },
+      $unset: {
+        deliveryAddress: '',
+        addressLocation: '',
+        driverLocation: '',
+        'proofOfDelivery.photoUrl': '',
+        'proofOfDelivery.signatureUrl': '',
+        'proofOfDelivery.photoPublicId': '',
+        'proofOfDelivery.signaturePublicId': '',
+        'proofOfDelivery.recipientName': '',
+        'proofOfDelivery.note': '',
+      },
+    }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Delete a customer account: anonymize orders and reviews, end all sessions
+ * and remove the user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { orders, reviews } anonymized
+ */
+const deleteAccount = async (user) => {
+  // Roles must be taken away first (and the last owner cannot go)
+  if (isStaff(user)) {
+    throw createHttpError(403, 'Staff accounts cannot be deleted while they have staff roles');
+  }
+
+  const orderFilter = getUserOrderFilter(user);
+  const openOrders = await Order.countDocuments({ ...orderFilter, orderStatus: { $in: OPEN_ORDER_STATUSES } });
+  if (openOrders > 0) {
+    throw createHttpError(409, 'Please wait until your open orders are completed', {
+      code: 'OPEN_ORDERS',
+      openOrders,
+    });
+  }
+
+  const orders = await anonymizeOrders(orderFilter);
+  await forgetCachedAddresses(user.addresses.map(formatAddress));
+  const reviews = await Review.updateMany(
+    { user: user._id },
+    { $set: { userName: ANONYMIZED_NAME, anonymizedAt: new Date() }, $unset: { user: '' } }
+  );
+
+  disconnectSessions(await revokeUserSessions(user._id, 'account_deleted'));
+  await Session.deleteMany({ user: user._id });
+  await LoyaltyTransaction.deleteMany({ user: user._id });
+  await OfferRedemption.deleteMany({
+    customer: { $in: getCustomerKeys({ userId: user._id, email: user.email }).map(({ key }) => key) },
+  });
+  await User.deleteOne({ _id: user._id });
+
+  console.log(`Account ${user._id} deleted (${orders} order(s), ${reviews.modifiedCount} review(s) anonymized)`);
+  return { orders, reviews: reviews.modifiedCount };
+};
+
+/**
+ * Anonymize completed guest orders older than the retention period
+ * (guestDataRetentionDays; 0 keeps them)
+ * @param {Date} [now]
+ * @returns {Promise<Number>} Orders anonymized
+ */
+const purgeStaleGuestData = async (now = new Date()) => {
+  const settings = await StoreSettings.getSettings();
+  if (!settings.guestDataRetentionDays) return 0;
+
+  const cutoff = new Date(now.getTime() - settings.guestDataRetentionDays * 24 * 60 * 60 * 1000);
+  return anonymizeOrders({
+    user: null,
+    isGuest: true,
+    orderStatus: { $in: CLOSED_ORDER_STATUSES },
+    updatedAt: { $lt: cutoff },
+  });
+};
+
+/**
+ * Run the guest data retention job now and then every few hours
+ */
+const startRetentionScheduler = () => {
+  const run = () => {
+    purgeStaleGuestData()
+      .then((count) => {
+        if (count) console.log(`Anonymized ${count} guest order(s) past the retention period`);
+      })
+      .catch((error) => console.error('Error purging stale guest data:', error));
+  };
+
+  run();
+  const timer = setInterval(run, RETENTION_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getConsents,
+  recordConsent,
+  buildUserExport,
+  anonymizeOrders,
+  deleteAccount,
+  purgeStaleGuestData,
+  startRetentionScheduler,
+};
@@ -0,0 +1,47 @@
+// Phone Numbers
+// Phone numbers are stored in E.164 format (+4920312345678) so SMS providers
+// can use them as they are. Customers may type national numbers (0203 123456),
+// which get the store's country code (PHONE_COUNTRY_CODE, default 49), or
+// international ones with + or 00.
+
+const { createHttpError } = require('./httpError');
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+const getCountryCode = () => String(process.env.PHONE_COUNTRY_CODE || '49').replace(/^\+/, '');
+
+/**
+ * Whether a number is already in E.164 format
+ * @param {String} phone
+ */
+const isE164 = (phone) => E164_PATTERN.test(String(phone || ''));
+
+/**
+ * Convert a typed phone number to E.164
+ * @param {String} input - e.g. "0203 / 123 456", "+49 203 123456" or "0049203123456"
+ * @returns {String} E.164 number
+ */
+const normalizePhoneNumber = (input) => {
+  const raw = String(input || '').trim();
+  if (!/^\+?[0-9 ()/.-]+$/.test(raw)) {
+    throw createHttpError(400, 'Please provide a valid phone number', { code: 'PHONE_INVALID' });
+  }
+
+  // "+49 (0)203 ..." - the trunk zero is not dialled from abroad
+  let digits = raw.replace(/\(0\)/g, '').replace(/[^0-9+]/g, '');
+  if (digits.startsWith('00')) {
+    digits = `+${digits.slice(2)}`;
+  } else if (digits.startsWith('0')) {
+    digits = `+${getCountryCode()}${digits.slice(1)}`;
+  }
+
+  if (!isE164(digits)) {
+    throw createHttpError(400, 'Please provide a valid phone number', { code: 'PHONE_INVALID' });
+  }
+  return digits;
+};
+
+module.exports = {
+  isE164,
+  normalizePhoneNumber,
+};
@@ -0,0 +1,119 @@
+// Product Options
+// Parses and validates product variants (sizes) and modifier groups sent by the
+// admin panel. Product forms are multipart, so arrays usually arrive as JSON strings.
+
+const { createHttpError } = require('./httpError');
+
+/**
+ * Parse a multipart field that holds a JSON array
+ * @param {String|Array} value - Raw field value
+ * @param {String} fieldName - Field name for error messages
+ */
+const parseJsonArrayField = (value, fieldName) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (!Array.isArray(parsed)) {
+      throw new Error('not an array');
+    }
+    return parsed;
+  } catch (error) {
+    throw createHttpError(400, `${fieldName} must be a JSON array`);
+  }
+};
+
+/**
+ * Validate product variants
+ * @param {String|Array} value - Raw `variants` field
+ * @returns {Array} Variants ready to store
+ */
+const parseVariants = (value) => {
+  const variants = parseJsonArrayField(value, 'variants').map((variant) => {
+    const name = variant && typeof variant.name === 'string' ? variant.name.trim() : '';
+    const price = parseFloat(variant && variant.price);
+
+    if (!name) {
+      throw createHttpError(400, 'Every variant needs a name');
+    }
+    if (isNaN(price) || price < 0) {
+      throw createHttpError(400, `Variant "${name}" needs a valid price`);
+    }
+
+    return {
+      ...(variant._id && { _id: variant._id }),
+      name,
+      price,
+      isDefault: variant.isDefault === true || variant.isDefault === 'true',
+    };
+  });
+
+  // Exactly one default variant
+  if (variants.length > 0 && !variants.some((variant) => variant.isDefault)) {
+    variants[0].isDefault = true;
+  }
+  let seenDefault = false;
+  variants.forEach((variant) => {
+    if (variant.isDefault && seenDefault) variant.isDefault = false;
+    if (variant.isDefault) seenDefault = true;
+  });
+
+  return variants;
+};
+
+/**
+ * Validate product modifier groups
+ * @param {String|Array} value - Raw `modifierGroups` field
+ * @returns {Array} Modifier groups ready to store
+ */
+const parseModifierGroups = (value) => {
+  return parseJsonArrayField(value, 'modifierGroups').map((group) => {
+    const name = group && typeof group.name === 'string' ? group.name.trim() : '';
+    if (!name) {
+      throw createHttpError(400, 'Every modifier group needs a name');
+    }
+
+    const options = (Array.isArray(group.options) ? group.options : []).map((option) => {
+      const optionName = option && typeof option.name === 'string' ? option.name.trim() : '';
+      const priceDelta = option.priceDelta === undefined || option.priceDelta === '' ? 0 : parseFloat(option.priceDelta);
+      if (!optionName) {
+        throw createHttpError(400, `Every option in "${name}" needs a name`);
+      }
+      if (isNaN(priceDelta)) {
+        throw createHttpError(400, `Option "${optionName}" in "${name}" has an invalid price`);
+      }
+      return {
+        ...(option._id && { _id: option._id }),
+        name: optionName,
+        priceDelta,
+      };
+    });
+
+    if (options.length === 0) {
+      throw createHttpError(400, `Modifier group "${name}" needs at least one option`);
+    }
+
+    const minSelect = group.minSelect === undefined ? 0 : parseInt(group.minSelect);
+    const maxSelect = group.maxSelect === undefined ? 1 : parseInt(group.maxSelect);
+    if (isNaN(minSelect) || isNaN(maxSelect) || minSelect < 0 || maxSelect < 1 || minSelect > maxSelect) {
+      throw createHttpError(400, `Modifier group "${name}" has invalid selection rules`);
+    }
+    if (minSelect > options.length) {
+      throw createHttpError(400, `Modifier group "${name}" requires more selections than it has options`);
+    }
+
+    return {
+      ...(group._id && { _id: group._id }),
+      name,
+      minSelect,
+      maxSelect,
+      options,
+    };
+  });
+};
+
+module.exports = {
+  parseVariants,
+  parseModifierGroups,
+};
@@ -0,0 +1,69 @@
+// Rate Limiter
+// Fixed-window counters stored in MongoDB, so limits hold across restarts and
+// server instances. Each call counts one attempt for a subject (an email, an
+// IP address, ...) and says whether it is still within the limit.
+
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Counter key and end of the current window
+ */
+const getWindow = (name, subject, windowSeconds, now) => {
+  const windowMs = windowSeconds * 1000;
+  const windowIndex = Math.floor(now / windowMs);
+  return {
+    key: `${name}:${String(subject).toLowerCase()}:${windowIndex}`,
+    endsAt: (windowIndex + 1) * windowMs,
+  };
+};
+
+/**
+ * Count one attempt and check it against the limit
+ * @param {String} name - Limit name, e.g. 'forgot-password:ip'
+ * @param {String} subject - What is limited, e.g. the IP address
+ * @param {Object} options
+ * @param {Number} options.limit - Attempts allowed per window
+ * @param {Number} options.windowSeconds - Window length
+ * @returns {Promise<Object>} { allowed, count, retryAfter } (retryAfter in seconds)
+ */
+const consumeRateLimit = async (name, subject, { limit, windowSeconds }) => {
+  const now = Date.now();
+  const window = getWindow(name, subject, windowSeconds, now);
+
+  const counter = await RateLimit.findOneAndUpdate(
+    { key: window.key },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(window.endsAt) } },
+    { upsert: true, new: true }
+  );
+
+  return {
+    allowed: counter.count <= limit,
+    count: counter.count,
+    retryAfter: Math.ceil((window.endsAt - now) / 1000),
+  };
+};
+
+/**
+ * Check the limit without counting an attempt
+ * @param {String} name - Limit name
+ * @param {String} subject - What is limited
+ * @param {Object} options - { limit, windowSeconds }
+ * @returns {Promise<Object>} { allowed, count, retryAfter } (retryAfter in seconds)
+ */
+const peekRateLimit = async (name, subject, { limit, windowSeconds }) => {
+  const now = Date.now();
+  const window = getWindow(name, subject, windowSeconds, now);
+
+  const counter = await RateLimit.findOne({ key: window.key });
+  const count = counter ? counter.count : 0;
+  return {
+    allowed: count < limit,
+    count,
+    retryAfter: Math.ceil((window.endsAt - now) / 1000),
+  };
+};
+
+module.exports = {
+  consumeRateLimit,
+  peekRateLimit,
+};
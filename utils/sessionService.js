@@ -0,0 +1,242 @@
+// Session Service
+// Logins create a server-side session. Clients get a short-lived access token
+// (JWT with the session ID) and a refresh token that is replaced on every
+// refresh. Presenting a refresh token that was already replaced means it was
+// copied, so the whole session is revoked. Revoking a session makes its
+// access tokens stop working immediately.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createHttpError } = require('./httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lastSeenAt is refreshed at most this often by authenticated requests
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+const getRefreshTokenDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Short readable device name from a User-Agent header, e.g. "Chrome on Windows"
+ * @param {String} userAgent
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Macintosh|Mac OS X/],
+    ['Linux', /Linux/],
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser[0]} on ${system[0]}`;
+  if (browser || system) return (browser || system)[0];
+  return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+};
+
+const getClientInfo = (req) => {
+  const userAgent = (req.headers['user-agent'] || '').slice(0, 300);
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || '',
+  };
+};
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenTtl(),
+  });
+};
+
+/**
+ * Tokens returned to the client; the refresh token is "<sessionId>.<secret>"
+ */
+const toTokens = (session, secret) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: getAccessTokenTtl(),
+});
+
+/**
+ * Start a session for a user who just proved who they are
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device and IP)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+const startSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    ...getClientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY_MS),
+  });
+  return toTokens(session, secret);
+};
+
+/**
+ * Exchange a refresh token for new tokens; a reused token revokes its session
+ * @param {String} refreshToken
+ * @param {Object} req - Express request (device and IP)
+ */
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw createHttpError(401, 'Invalid refresh token');
+  }
+
+  const now = new Date();
+  const nextSecret = newSecret();
+  // Matching on the current hash makes the rotation atomic: one refresh wins
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashToken(secret),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        ...getClientInfo(req),
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTokenDays() * DAY_MS),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const revoked = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    if (revoked) {
+      console.warn(`Refresh token reuse on session ${sessionId}; session revoked`);
+    }
+    throw createHttpError(401, 'Invalid refresh token');
+  }
+
+  return toTokens(session, nextSecret);
+};
+
+/**
+ * Check an access token and load its user and session
+ * @param {String} token - Access token (JWT)
+ * @returns {Promise<Object>} { user, session }
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createHttpError(401, 'Not authorized, token failed');
+  }
+
+  // Tokens from before sessions existed carry no session and are refused
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    throw createHttpError(401, 'Not authorized, token failed');
+  }
+
+  const [session, user] = await Promise.all([
+    Session.findOne({ _id: decoded.sid, user: decoded.id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    User.findById(decoded.id).select('-password'),
+  ]);
+  if (!session || !user) {
+    throw createHttpError(401, 'Not authorized, token failed');
+  }
+
+  const now = new Date();
+  if (now - session.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: now } })
+      .catch((error) => console.error('Error updating session last seen:', error));
+  }
+  return { user, session };
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {String} userId
+ * @param {String} sessionId
+ * @param {String} reason
+ * @returns {Promise<Boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (userId, sessionId, reason) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {String} userId
+ * @param {String} reason
+ * @returns {Promise<String[]>} IDs of the revoked sessions
+ */
+const revokeUserSessions = async (userId, reason) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null }).select('_id');
+  const ids = sessions.map((session) => session._id);
+  if (ids.length) {
+    await Session.updateMany(
+      { _id: { $in: ids }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+  return ids.map((id) => id.toString());
+};
+
+/**
+ * A user's active sessions, most recently used first
+ * @param {String} userId
+ * @param {String} [currentSessionId] - Marked as current in the list
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+  return sessions.map((session) => ({
+    _id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString(),
+  }));
+};
+
+module.exports = {
+  describeDevice,
+  startSession,
+  refreshSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+};
@@ -0,0 +1,276 @@
+// Slot Service
+// Time slots for scheduled pre-orders and their capacity (orders / pizzas per slot).
+// Checkout books the capacity atomically on a per-slot counter (SlotReservation),
+// cancelling gives it back.
+
+const Order = require('../models/Order');
+const SlotReservation = require('../models/SlotReservation');
+const { createHttpError } = require('./httpError');
+const { getOpeningIntervals, findClosure, isPausedAt } = require('./storeSchedule');
+const {
+  formatTimeOfDay,
+  getZonedParts,
+  zonedTimeToUtc,
+  toDateKey,
+  parseDateKey,
+  addDays,
+} = require('./storeTime');
+
+const PIZZA_CATEGORY = /pizza/i;
+
+// Slot counters are kept this long after the slot started
+const RESERVATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const FULLY_BOOKED_MESSAGE = 'This time slot is fully booked. Please choose another one.';
+
+/**
+ * Format a date as "HH:MM" in the store timezone
+ * @param {Date} date
+ * @param {String} timeZone
+ */
+const formatLocalTime = (date, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return formatTimeOfDay(hour * 60 + minute);
+};
+
+/**
+ * Count the pizzas in a list of order items
+ * @param {Array} items - Order items (with category snapshot)
+ */
+const countPizzas = (items) => {
+  return (items || []).reduce((sum, item) => {
+    return PIZZA_CATEGORY.test(item.category || item.name || '') ? sum + (item.quantity || 0) : sum;
+  }, 0);
+};
+
+/**
+ * Orders and pizzas already booked per slot start
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Promise<Map<Number, { orders: Number, pizzas: Number }>>} Keyed by slot start (ms)
+ */
+const getSlotUsage = async (from, to) => {
+  const orders = await Order.find({
+    scheduledFor: { $gte: from, $lt: to },
+    orderStatus: { $ne: 'Cancelled' },
+  }).select('scheduledFor items.category items.name items.quantity');
+
+  const usage = new Map();
+  orders.forEach((order) => {
+    const key = order.scheduledFor.getTime();
+    const slot = usage.get(key) || { orders: 0, pizzas: 0 };
+    slot.orders += 1;
+    slot.pizzas += countPizzas(order.items);
+    usage.set(key, slot);
+  });
+  return usage;
+};
+
+/**
+ * Remaining capacity of a slot, or null if the slot is unlimited
+ * @param {Object} settings - StoreSettings document
+ * @param {Object} used - { orders, pizzas }
+ */
+const getRemainingCapacity = (settings, used) => ({
+  orders: settings.slotMaxOrders > 0 ? Math.max(0, settings.slotMaxOrders - used.orders) : null,
+  pizzas: settings.slotMaxPizzas > 0 ? Math.max(0, settings.slotMaxPizzas - used.pizzas) : null,
+});
+
+/**
+ * Generate the slot start times of the shifts opening on one local calendar day
+ * @param {Object} settings - StoreSettings document
+ * @param {Object} date - { year, month, day } in store local time
+ * @returns {Date[]}
+ */
+const getSlotStartsForDay = (settings, date) => {
+  const intervalMs = settings.slotIntervalMinutes * 60 * 1000;
+  const starts = [];
+
+  getOpeningIntervals(settings, date).forEach(({ opensAt, closesAt }) => {
+    for (let time = opensAt.getTime(); time + intervalMs <= closesAt.getTime(); time += intervalMs) {
+      const startsAt = new Date(time);
+      if (!findClosure(settings, startsAt) && !findClosure(settings, new Date(time + intervalMs - 1))) {
+        starts.push(startsAt);
+      }
+    }
+  });
+  return starts;
+};
+
+/**
+ * Earliest and latest times a pre-order may be scheduled for
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} now
+ */
+const getBookingWindow = (settings, now) => {
+  const lastDay = addDays(parseDateKey(toDateKey(now, settings.timezone)), settings.preorderMaxDaysAhead + 1);
+  return {
+    earliest: new Date(now.getTime() + settings.preorderMinLeadMinutes * 60 * 1000),
+    latest: zonedTimeToUtc(lastDay, settings.timezone),
+  };
+};
+
+/**
+ * List the slots of a day with their remaining capacity
+ * @param {Object} settings - StoreSettings document
+ * @param {String} [dateKey] - "YYYY-MM-DD" in store local time, defaults to today
+ * @param {Object} [options]
+ * @param {Number} [options.pizzaCount] - Pizzas in the cart, to hide slots that can't fit them
+ */
+const listSlots = async (settings, dateKey, { pizzaCount = 0 } = {}) => {
+  const now = new Date();
+  const key = dateKey || toDateKey(now, settings.timezone);
+  const date = parseDateKey(key);
+  if (!date) {
+    throw createHttpError(400, 'Date must be in YYYY-MM-DD format');
+  }
+
+  const { earliest, latest } = getBookingWindow(settings, now);
+  const starts = getSlotStartsForDay(settings, date);
+  if (starts.length === 0) {
+    return { date: key, slots: [] };
+  }
+
+  const intervalMs = settings.slotIntervalMinutes * 60 * 1000;
+  const usage = await getSlotUsage(starts[0], new Date(starts[starts.length - 1].getTime() + intervalMs));
+
+  const slots = starts
+    .filter((startsAt) => startsAt >= earliest && startsAt < latest)
+    .map((startsAt) => {
+      const used = usage.get(startsAt.getTime()) || { orders: 0, pizzas: 0 };
+      const remaining = getRemainingCapacity(settings, used);
+      const available = !isPausedAt(settings, startsAt)
+        && (remaining.orders === null || remaining.orders > 0)
+        && (remaining.pizzas === null || remaining.pizzas >= Math.max(pizzaCount, 1));
+
+      return {
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + intervalMs),
+        label: formatLocalTime(startsAt, settings.timezone),
+        available,
+        remainingOrders: remaining.orders,
+        remainingPizzas: remaining.pizzas,
+      };
+    });
+
+  return { date: key, slots };
+};
+
+/**
+ * Validate a requested pre-order time and check the slot has room
+ * @param {Object} settings - StoreSettings document
+ * @param {String|Date} scheduledFor - Requested slot start
+ * @param {Array} items - Order items (with category snapshot)
+ * @returns {Promise<Date>} The slot start
+ */
+const validateSlot = async (settings, scheduledFor, items) => {
+  const requested = new Date(scheduledFor);
+  if (isNaN(requested.getTime())) {
+    throw createHttpError(400, 'Invalid scheduled time');
+  }
+
+  const { earliest, latest } = getBookingWindow(settings, new Date());
+  if (requested < earliest) {
+    throw createHttpError(400, `Pre-orders must be placed at least ${settings.preorderMinLeadMinutes} minutes in advance`);
+  }
+  if (requested >= latest) {
+    throw createHttpError(400, `Pre-orders can be placed at most ${settings.preorderMaxDaysAhead} days in advance`);
+  }
+
+  // Shifts running past midnight belong to the previous day
+  const date = parseDateKey(toDateKey(requested, settings.timezone));
+  const slotStart = [...getSlotStartsForDay(settings, addDays(date, -1)), ...getSlotStartsForDay(settings, date)]
+    .find((startsAt) => startsAt.getTime() === requested.getTime());
+  if (!slotStart) {
+    throw createHttpError(400, 'Please choose one of the available time slots');
+  }
+
+  const intervalMs = settings.slotIntervalMinutes * 60 * 1000;
+  const usage = await getSlotUsage(slotStart, new Date(slotStart.getTime() + intervalMs));
+  const used = usage.get(slotStart.getTime()) || { orders: 0, pizzas: 0 };
+  const remaining = getRemainingCapacity(settings, used);
+  const pizzaCount = countPizzas(items);
+
+  if ((remaining.orders !== null && remaining.orders < 1)
+    || (remaining.pizzas !== null && remaining.pizzas < pizzaCount)) {
+    throw createHttpError(409, FULLY_BOOKED_MESSAGE, {
+      remainingOrders: remaining.orders,
+      remainingPizzas: remaining.pizzas,
+    });
+  }
+
+  return slotStart;
+};
+
+/**
+ * Create a slot's counter, starting from the orders already booked into it
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} slotStart
+ */
+const ensureSlotReservation = async (settings, slotStart) => {
+  if (await SlotReservation.exists({ startsAt: slotStart })) return;
+
+  const intervalMs = settings.slotIntervalMinutes * 60 * 1000;
+  const usage = await getSlotUsage(slotStart, new Date(slotStart.getTime() + intervalMs));
+  const used = usage.get(slotStart.getTime()) || { orders: 0, pizzas: 0 };
+  try {
+    await SlotReservation.create({
+      startsAt: slotStart,
+      orders: used.orders,
+      pizzas: used.pizzas,
+      expiresAt: new Date(slotStart.getTime() + RESERVATION_TTL_MS),
+    });
+  } catch (error) {
+    // Created by a concurrent checkout
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Atomically book one order's share of a slot (call before saving the order)
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} slotStart - Slot from validateSlot
+ * @param {Array} items - Order items (with category snapshot)
+ */
+const reserveSlot = async (settings, slotStart, items) => {
+  await ensureSlotReservation(settings, slotStart);
+
+  const pizzaCount = countPizzas(items);
+  const filter = { startsAt: slotStart };
+  if (settings.slotMaxOrders > 0) {
+    filter.orders = { $lt: settings.slotMaxOrders };
+  }
+  if (settings.slotMaxPizzas > 0) {
+    filter.pizzas = { $lte: settings.slotMaxPizzas - pizzaCount };
+  }
+
+  const updated = await SlotReservation.findOneAndUpdate(
+    filter,
+    { $inc: { orders: 1, pizzas: pizzaCount } },
+    { new: true }
+  );
+  if (!updated) {
+    throw createHttpError(409, FULLY_BOOKED_MESSAGE);
+  }
+  return updated;
+};
+
+/**
+ * Give back an order's share of a slot (cancelled, or the order could not be saved)
+ * @param {Date} slotStart
+ * @param {Array} items - Order items (with category snapshot)
+ */
+const releaseSlot = async (slotStart, items) => {
+  await SlotReservation.updateOne(
+    { startsAt: slotStart, orders: { $gt: 0 } },
+    { $inc: { orders: -1, pizzas: -countPizzas(items) } }
+  );
+};
+
+module.exports = {
+  countPizzas,
+  listSlots,
+  validateSlot,
+  reserveSlot,
+  releaseSlot,
+};
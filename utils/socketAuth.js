@@ -0,0 +1,173 @@
+// Socket Authentication
+// Verifies the access token sent with the socket.io handshake (auth.token or an
+// Authorization header) the same way `protect` does, and decides which rooms
+// a socket may join. Sockets without a token stay connected anonymously and
+// can only follow orders whose tracking token they know.
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { hasPermission } = require('../config/permissions');
+const { createHttpError } = require('./httpError');
+const { verifyAccessToken } = require('./sessionService');
+const { checkStaffAccess } = require('./twoFactor');
+
+// Staff dashboards (orders:read-all); receives broadcasts such as newOrder
+const ADMIN_ROOM = 'admin';
+
+// Namespaces using authenticateSocket, so revoked sessions can be disconnected everywhere
+const authenticatedNamespaces = new Set();
+
+/**
+ * Extract the token sent with the handshake
+ * @param {Object} handshake - socket.handshake
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+  return null;
+};
+
+/**
+ * Whether a socket's user has a permission and may use it (see checkStaffAccess in utils/twoFactor.js)
+ * @param {Object} socket
+ * @param {String} permission
+ */
+const socketHasPermission = (socket, permission) => {
+  return Boolean(socket.data.staffAccess) && hasPermission(socket.data.user, permission);
+};
+
+/**
+ * Socket.io middleware: io.use(authenticateSocket)
+ * A missing token connects anonymously; an invalid one is refused.
+ */
+const authenticateSocket = async (socket, next) => {
+  authenticatedNamespaces.add(socket.nsp);
+  const token = getHandshakeToken(socket.handshake);
+  if (!token) return next();
+
+  try {
+    const { user, session } = await verifyAccessToken(token);
+    socket.data.user = user;
+    socket.data.sessionId = session._id.toString();
+    socket.data.staffAccess = await checkStaffAccess(user);
+  } catch (error) {
+    return next(new Error('Not authorized, token failed'));
+  }
+  next();
+};
+
+/**
+ * Disconnect sockets that were opened with now revoked sessions
+ * @param {String[]} sessionIds
+ */
+const disconnectSessions = (sessionIds) => {
+  authenticatedNamespaces.forEach((namespace) => {
+    sessionIds.forEach((sessionId) => {
+      namespace.in(`session:${sessionId}`).disconnectSockets(true);
+    });
+  });
+};
+
+/**
+ * Put an authenticated socket into the room of its session (see disconnectSessions)
+ * @param {Object} socket
+ */
+const joinSessionRoom = (socket) => {
+  if (socket.data.sessionId) {
+    socket.join(`session:${socket.data.sessionId}`);
+  }
+};
+
+/**
+ * Put an authenticated socket into its session and user rooms (and the admin room for staff)
+ * @param {Object} socket
+ */
+const joinDefaultRooms = (socket) => {
+  const user = socket.data.user;
+  if (!user) return;
+
+  joinSessionRoom(socket);
+  socket.join(`user:${user._id}`);
+  if (socketHasPermission(socket, 'orders:read-all')) {
+    socket.join(ADMIN_ROOM);
+  }
+};
+
+/**
+ * Move a user's open sockets in or out of the admin room after a role change
+ * @param {Object} io - Socket.io instance
+ * @param {Object} user - User document with the new roles
+ */
+const syncStaffRooms = async (io, user) => {
+  const sockets = io.in(`user:${user._id}`);
+  if (hasPermission(user, 'orders:read-all') && await checkStaffAccess(user)) {
+    sockets.socketsJoin(ADMIN_ROOM);
+  } else {
+    sockets.socketsLeave(ADMIN_ROOM);
+  }
+};
+
+/**
+ * Check that a socket may follow an order and return the order ID.
+ * Accepts an order ID (owner, assigned driver or admin) or { orderId, trackingToken } / { trackingToken }.
+ * @param {Object} socket
+ * @param {String|Object} payload - joinOrderRoom payload
+ * @returns {Promise<String>} Order ID
+ */
+const authorizeOrderRoom = async (socket, payload) => {
+  const { orderId, trackingToken } = typeof payload === 'object' && payload !== null
+    ? payload
+    : { orderId: payload };
+  const user = socket.data.user;
+
+  let order = null;
+  if (trackingToken) {
+    order = await Order.findOne({ trackingToken: String(trackingToken) }).select('_id');
+  } else if (user && mongoose.Types.ObjectId.isValid(orderId)) {
+    order = await Order.findById(orderId).select('_id user driver');
+    const userId = user._id.toString();
+    const allowed = order && (
+      socketHasPermission(socket, 'orders:read-all')
+      || (order.user && order.user.toString() === userId)
+      || (order.driver && order.driver.toString() === userId)
+    );
+    if (!allowed) order = null;
+  }
+
+  // Same answer for unknown and foreign orders
+  if (!order || (orderId && order._id.toString() !== String(orderId))) {
+    throw createHttpError(403, 'Not authorized to follow this order');
+  }
+  return order._id.toString();
+};
+
+/**
+ * Check that a socket may join a user room (only its own)
+ * @param {Object} socket
+ * @param {String} userId
+ */
+const authorizeUserRoom = (socket, userId) => {
+  const user = socket.data.user;
+  if (!user || user._id.toString() !== String(userId)) {
+    throw createHttpError(403, 'Not authorized to join this room');
+  }
+  return user._id.toString();
+};
+
+module.exports = {
+  ADMIN_ROOM,
+  getHandshakeToken,
+  socketHasPermission,
+  authenticateSocket,
+  disconnectSessions,
+  joinSessionRoom,
+  joinDefaultRooms,
+  syncStaffRooms,
+  authorizeOrderRoom,
+  authorizeUserRoom,
+};
@@ -0,0 +1,211 @@
+// Store Schedule
+// Opening hours (with split shifts), holiday/one-off closures and the
+// "pause ordering" switch. Decides whether the store accepts an order.
+
+const Order = require('../models/Order');
+const { createHttpError } = require('./httpError');
+const {
+  parseTimeOfDay,
+  zonedTimeToUtc,
+  parseDateKey,
+  toDateKey,
+  addDays,
+} = require('./storeTime');
+
+// How far ahead to look for the next opening
+const MAX_LOOKAHEAD_DAYS = 14;
+
+/**
+ * Opening intervals of one local calendar day (shifts may run past midnight)
+ * @param {Object} settings - StoreSettings document
+ * @param {Object} date - { year, month, day } in store local time
+ * @returns {Array<{ opensAt: Date, closesAt: Date }>}
+ */
+const getOpeningIntervals = (settings, date) => {
+  const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+
+  return (settings.openingHours || [])
+    .filter((shift) => shift.day === weekday)
+    .map((shift) => {
+      const open = parseTimeOfDay(shift.open);
+      const close = parseTimeOfDay(shift.close);
+      if (open === null || close === null) return null;
+
+      const closeDate = close <= open ? addDays(date, 1) : date;
+      return {
+        opensAt: zonedTimeToUtc({ ...date, hour: Math.floor(open / 60), minute: open % 60 }, settings.timezone),
+        closesAt: zonedTimeToUtc({ ...closeDate, hour: Math.floor(close / 60), minute: close % 60 }, settings.timezone),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.opensAt - b.opensAt);
+};
+
+/**
+ * Opening interval containing a moment, if any
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} at
+ */
+const findOpeningInterval = (settings, at) => {
+  const today = parseDateKey(toDateKey(at, settings.timezone));
+  // Yesterday's late shift may still be running after midnight
+  const candidates = [
+    ...getOpeningIntervals(settings, addDays(today, -1)),
+    ...getOpeningIntervals(settings, today),
+  ];
+  return candidates.find((interval) => interval.opensAt <= at && at < interval.closesAt) || null;
+};
+
+/**
+ * Holiday or one-off closure covering a moment, if any
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} at
+ */
+const findClosure = (settings, at) => {
+  return (settings.closures || []).find((closure) => closure.startsAt <= at && at < closure.endsAt) || null;
+};
+
+/**
+ * Whether the store is open (opening hours, no closure) at a moment
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} at
+ */
+const isOpenAt = (settings, at) => {
+  return Boolean(findOpeningInterval(settings, at)) && !findClosure(settings, at);
+};
+
+/**
+ * Whether ordering is paused at a moment
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} at
+ */
+const isPausedAt = (settings, at) => {
+  return Boolean(settings.pausedUntil && settings.pausedUntil > at);
+};
+
+/**
+ * Next moment from which the store accepts ASAP orders
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} from
+ * @returns {Date|null} null if nothing opens within the look-ahead window
+ */
+const findNextOpening = (settings, from) => {
+  let cursor = isPausedAt(settings, from) ? settings.pausedUntil : from;
+  const startDay = parseDateKey(toDateKey(from, settings.timezone));
+
+  for (let offset = -1; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const intervals = getOpeningIntervals(settings, addDays(startDay, offset));
+    for (const interval of intervals) {
+      if (interval.closesAt <= cursor) continue;
+
+      let candidate = interval.opensAt > cursor ? interval.opensAt : cursor;
+      // Skip over closures that overlap this shift
+      let closure = findClosure(settings, candidate);
+      while (closure && closure.endsAt < interval.closesAt) {
+        candidate = closure.endsAt;
+        closure = findClosure(settings, candidate);
+      }
+      if (!closure && candidate < interval.closesAt) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Estimated wait for ASAP orders based on how busy the kitchen is
+ * @param {Object} settings - StoreSettings document
+ */
+const getCurrentWait = async (settings) => {
+  const activeOrders = await Order.countDocuments({
+    orderStatus: { $in: ['Pending', 'Preparing'] },
+    releasedToKitchenAt: { $ne: null },
+  });
+  const pickup = settings.basePrepMinutes + activeOrders * settings.minutesPerActiveOrder;
+
+  return {
+    activeOrders,
+    pickupMinutes: pickup,
+    deliveryMinutes: pickup + settings.baseDeliveryMinutes,
+  };
+};
+
+/**
+ * Summarize whether the store is open and taking orders right now
+ * @param {Object} settings - StoreSettings document
+ * @param {Date} [now]
+ */
+const getStoreStatus = (settings, now = new Date()) => {
+  const interval = findOpeningInterval(settings, now);
+  const closure = findClosure(settings, now);
+  const isOpen = Boolean(interval) && !closure;
+  const isPaused = isOpen && isPausedAt(settings, now);
+  const acceptingOrders = isOpen && !isPaused;
+
+  let message = 'We are open';
+  if (closure) {
+    message = closure.reason ? `Closed: ${closure.reason}` : 'Closed today';
+  } else if (!interval) {
+    message = 'We are currently closed';
+  } else if (isPaused) {
+    message = settings.pauseReason || 'We are very busy and have paused new orders for a moment';
+  }
+
+  return {
+    isOpen,
+    isPaused,
+    acceptingOrders,
+    message,
+    pausedUntil: isPaused ? settings.pausedUntil : null,
+    closure: closure ? { reason: closure.reason, endsAt: closure.endsAt } : null,
+    closesAt: isOpen ? interval.closesAt : null,
+    nextOpeningAt: acceptingOrders ? now : findNextOpening(settings, now),
+  };
+};
+
+/**
+ * Refuse orders the store can't take: ASAP orders while closed or paused,
+ * pre-orders for times outside opening hours
+ * @param {Object} settings - StoreSettings document
+ * @param {Date|null} scheduledFor - Pre-order slot, or null for ASAP
+ */
+const assertAcceptingOrders = (settings, scheduledFor) => {
+  const now = new Date();
+
+  if (scheduledFor) {
+    const closure = findClosure(settings, scheduledFor);
+    if (closure || !findOpeningInterval(settings, scheduledFor)) {
+      throw createHttpError(409, closure && closure.reason
+        ? `We are closed at the chosen time: ${closure.reason}`
+        : 'We are closed at the chosen time', { code: 'STORE_CLOSED' });
+    }
+    if (isPausedAt(settings, scheduledFor)) {
+      throw createHttpError(409, 'Ordering is paused for the chosen time. Please pick a later slot.', {
+        code: 'STORE_PAUSED',
+        pausedUntil: settings.pausedUntil,
+      });
+    }
+    return;
+  }
+
+  const status = getStoreStatus(settings, now);
+  if (!status.acceptingOrders) {
+    throw createHttpError(409, status.message, {
+      code: status.isPaused ? 'STORE_PAUSED' : 'STORE_CLOSED',
+      nextOpeningAt: status.nextOpeningAt,
+    });
+  }
+};
+
+module.exports = {
+  getOpeningIntervals,
+  findOpeningInterval,
+  findClosure,
+  isOpenAt,
+  isPausedAt,
+  findNextOpening,
+  getCurrentWait,
+  getStoreStatus,
+  assertAcceptingOrders,
+};
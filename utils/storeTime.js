@@ -0,0 +1,121 @@
+// Store Time
+// Helpers for working with dates in the store's local timezone (e.g. Europe/Berlin)
+// without pulling in a date library.
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {String} time - Time of day
+ * @returns {Number|null} Minutes, or null if the format is invalid
+ */
+const parseTimeOfDay = (time) => {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(time || '').trim());
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+};
+
+/**
+ * Format minutes after midnight as "HH:MM"
+ * @param {Number} minutes
+ */
+const formatTimeOfDay = (minutes) => {
+  const hours = Math.floor(minutes / 60) % 24;
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * Get the calendar parts of a date as seen in a timezone
+ * @param {Date} date
+ * @param {String} timeZone - IANA timezone name
+ * @returns {{ year, month, day, hour, minute, weekday }} weekday: 0 = Sunday
+ */
+const getZonedParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+  });
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+};
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ * @param {Object} parts - { year, month, day, hour, minute } (month is 1-12)
+ * @param {String} timeZone - IANA timezone name
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offset of the zone at a given instant, in ms
+  const offsetAt = (instant) => {
+    const p = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - instant;
+  };
+
+  // Run twice so times next to a DST switch settle on the right offset
+  let utc = wallClock - offsetAt(wallClock);
+  utc = wallClock - offsetAt(utc);
+  return new Date(utc);
+};
+
+/**
+ * Format a date as "YYYY-MM-DD" in a timezone
+ * @param {Date} date
+ * @param {String} timeZone - IANA timezone name
+ */
+const toDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Parse "YYYY-MM-DD" into { year, month, day }
+ * @param {String} dateKey
+ * @returns {Object|null}
+ */
+const parseDateKey = (dateKey) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateKey || ''));
+  if (!match) return null;
+  return { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]) };
+};
+
+/**
+ * Add days to a calendar date (timezone independent)
+ * @param {Object} date - { year, month, day }
+ * @param {Number} days
+ */
+const addDays = ({ year, month, day }, days) => {
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+  };
+};
+
+module.exports = {
+  parseTimeOfDay,
+  formatTimeOfDay,
+  getZonedParts,
+  zonedTimeToUtc,
+  toDateKey,
+  parseDateKey,
+  addDays,
+};
@@ -0,0 +1,277 @@
+// Two-Factor Authentication
+// Optional TOTP second factor (see utils/totp.js). Enrolment stores a pending
+// secret until the first code from the app confirms it; then the account gets
+// ten single-use recovery codes, shown once. Secrets are encrypted at rest and
+// recovery codes are only kept as hashes. Logins of enrolled accounts stop
+// after the password with a short-lived challenge token that is exchanged for
+// the real tokens together with a code.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const StoreSettings = require('../models/StoreSettings');
+const { isStaff, hasPermission } = require('../config/permissions');
+const { createHttpError } = require('./httpError');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'American Pizza';
+
+const CHALLENGE_PURPOSE = 'login-2fa';
+const CHALLENGE_TTL = '5m';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields left out of normal user queries
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Key for encrypting secrets at rest (TWO_FACTOR_KEY, falling back to JWT_SECRET)
+ */
+const getEncryptionKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+/**
+ * @param {String} secret - Base32 secret
+ * @returns {String} iv.tag.ciphertext (base64)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+/**
+ * @param {String} stored - Value from encryptSecret
+ * @returns {String} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Recovery codes are compared case-insensitively and without dashes or spaces
+ * @param {String} code
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * New set of recovery codes, e.g. "4f9c2-a81d7"
+ * @returns {String[]}
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+/**
+ * Load a user with the secret fields
+ * @param {String} userId
+ */
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+/**
+ * Whether the store requires this user to use 2FA (requireStaffTwoFactor)
+ * @param {Object} user - User document
+ * @param {Object} [settings] - Store settings (loaded when omitted)
+ */
+const isTwoFactorRequired = async (user, settings) => {
+  if (!isStaff(user)) return false;
+  const storeSettings = settings || await StoreSettings.getSettings();
+  return Boolean(storeSettings.requireStaffTwoFactor);
+};
+
+/**
+ * Whether a user may use their staff permissions: not waiting for a password
+ * change (see protect) and enrolled in 2FA if the store requires it (see
+ * requirePermission)
+ * @param {Object} user - User document
+ */
+const checkStaffAccess = async (user) => {
+  if (user.mustChangePassword) return false;
+  return user.twoFactor.enabled || !await isTwoFactorRequired(user);
+};
+
+/**
+ * hasPermission for checks made inside a route instead of requirePermission:
+ * the permission only counts once checkStaffAccess passes
+ * @param {Object} user - User document
+ * @param {String} permission
+ */
+const canUsePermission = async (user, permission) => {
+  return hasPermission(user, permission) && checkStaffAccess(user);
+};
+
+/**
+ * Start (or restart) enrolment with a new secret
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUri } for the authenticator app
+ */
+const beginEnrolment = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw createHttpError(400, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } }
+  );
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: ISSUER }),
+  };
+};
+
+/**
+ * Finish enrolment with the first code from the app
+ * @param {Object} user - User document
+ * @param {String} code - Current code
+ * @returns {Promise<String[]>} Recovery codes (shown once)
+ */
+const confirmEnrolment = async (user, code) => {
+  const account = await loadWithSecrets(user._id);
+  if (account.twoFactor.enabled) {
+    throw createHttpError(400, 'Two-factor authentication is already enabled');
+  }
+  if (!account.twoFactor.pendingSecret) {
+    throw createHttpError(400, 'Please start the two-factor setup first');
+  }
+
+  const secret = decryptSecret(account.twoFactor.pendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    throw createHttpError(400, 'Invalid code, please check the time on your device and try again');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  account.twoFactor = {
+    enabled: true,
+    secret: account.twoFactor.pendingSecret,
+    pendingSecret: undefined,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    lastUsedStep: step,
+    enabledAt: new Date(),
+  };
+  await account.save();
+  return recoveryCodes;
+};
+
+/**
+ * Check a code from the app, or use up a recovery code
+ * @param {Object} user - User document
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Promise<Object|null>} { method, recoveryCodesLeft } or null when wrong
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const account = await loadWithSecrets(user._id);
+  if (!account || !account.twoFactor.enabled) return null;
+
+  if (recoveryCode) {
+    // Conditional pull, so a code works once even for parallel requests
+    const updated = await User.findOneAndUpdate(
+      { _id: account._id, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } },
+      { new: true }
+    ).select('+twoFactor.recoveryCodes');
+    if (!updated) return null;
+    return { method: 'recovery-code', recoveryCodesLeft: updated.twoFactor.recoveryCodes.length };
+  }
+
+  const step = verifyCode(decryptSecret(account.twoFactor.secret), code, {
+    afterStep: account.twoFactor.lastUsedStep,
+  });
+  if (step === null) return null;
+
+  // A code is only accepted once; a replay within its 30 seconds fails here
+  const result = await User.updateOne(
+    { _id: account._id, 'twoFactor.lastUsedStep': { $lt: step } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (result.modifiedCount === 0) return null;
+  return { method: 'totp', recoveryCodesLeft: account.twoFactor.recoveryCodes.length };
+};
+
+/**
+ * Replace all recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<String[]>} New recovery codes (shown once)
+ */
+const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {Object} user - User document
+ */
+const disableTwoFactor = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactor: { enabled: false } } }
+  );
+};
+
+/**
+ * Token proving the password was right, exchanged at POST /api/auth/login/2fa
+ * @param {Object} user - User document
+ */
+const createLoginChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id.toString(), purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+};
+
+/**
+ * User a challenge token was issued for
+ * @param {String} token
+ * @returns {Promise<Object>} User document
+ */
+const verifyLoginChallenge = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createHttpError(401, 'Login expired, please sign in again');
+  }
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw createHttpError(401, 'Login expired, please sign in again');
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.twoFactor.enabled) {
+    throw createHttpError(401, 'Login expired, please sign in again');
+  }
+  return user;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  checkStaffAccess,
+  canUsePermission,
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+};